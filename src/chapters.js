@@ -0,0 +1,65 @@
+import {readFile} from 'node:fs/promises';
+import {extname} from 'node:path';
+
+import JSON5 from 'json5';
+
+import {parseDuration} from './utils.js';
+
+/**
+ * Parse chapter from "hh:mm:ss Title" format
+ *
+ * @param {string} line Chapter line
+ * @returns {{start: number, title: string}} Chapter
+ */
+export function parseChapter(line) {
+	const match = /^\s*(\d[\d.:]*)\s+(.+?)\s*$/.exec(line);
+	if (!match) {
+		throw new Error(`Invalid chapter (expected "hh:mm:ss Title") ${line}`);
+	}
+
+	return {
+		start: parseDuration(match[1]),
+		title: match[2],
+	};
+}
+
+/**
+ * Load chapters from sidecar file
+ *
+ * .json / .json5: array of {start, end?, title}
+ * Anything else: "hh:mm:ss Title" per line
+ *
+ * @param {string} path Chapters file
+ * @returns {Promise<Array<{start: number, end?: number, title: string}>>} Chapters
+ */
+export async function loadChaptersFile(path) {
+	const contents = await readFile(path, 'utf-8');
+
+	if (['.json', '.json5'].includes(extname(path).toLowerCase())) {
+		return JSON5.parse(contents).map(chapter => ({
+			start: parseDuration(String(chapter.start)),
+			end: chapter.end === undefined ? undefined : parseDuration(String(chapter.end)),
+			title: chapter.title,
+		}));
+	}
+
+	return contents
+		.split(/\r?\n/)
+		.filter(line => line.trim() && !line.trim().startsWith('#'))
+		.map(line => parseChapter(line));
+}
+
+/**
+ * Fill in missing chapter ends from next chapter start
+ *
+ * @param {Array<{start: number, end?: number, title: string}>} chapters Chapters in source timeline
+ * @returns {Array<{start: number, end: number, title: string}>} Sorted chapters
+ */
+export function normalizeChapters(chapters) {
+	const sorted = [...chapters].sort((a, b) => a.start - b.start);
+
+	return sorted.map((chapter, index) => ({
+		...chapter,
+		end: chapter.end ?? sorted[index + 1]?.start ?? Number.POSITIVE_INFINITY,
+	}));
+}
@@ -7,6 +7,24 @@ import yargs from 'yargs';
 import {hideBin} from 'yargs/helpers';
 
 import EpisodeProcessor from './episode-processor.js';
+import {deleteEpisode, listEpisodes, showEpisode} from './episodes.js';
+import {printLinks} from './links.js';
+import {serve} from './server.js';
+import {suggestCuts} from './suggest-cuts.js';
+import {watchFolder} from './watch.js';
+
+/**
+ * Preset and upload options for commands working on uploaded episodes
+ */
+function storagePresetOptions(yargs) {
+	yargs.config('preset', 'Use preset', configPath => JSON5.parse(readFileSync(configPath, 'utf-8')));
+	yargs.option('upload', {
+		type: 'object',
+		hidden: true,
+		demandOption: 'Missing upload configration (missing preset?)',
+		describe: 'Upload configuration',
+	});
+}
 
 yargs(hideBin(process.argv))
 	.command({
@@ -36,11 +54,46 @@ yargs(hideBin(process.argv))
 				type: 'string',
 				describe: 'End timestamp for last part',
 			});
+			yargs.option('cutsFile', {
+				type: 'string',
+				describe: 'Load cuts from file instead of arguments (.json5, .csv, .edl or "hh:mm:ss Title" list)',
+			});
+			yargs.option('chapter', {
+				type: 'array',
+				string: true,
+				describe: 'Chapter marker in source timeline ("hh:mm:ss Title"), can be repeated',
+			});
+			yargs.option('chaptersFile', {
+				type: 'string',
+				describe: 'File with chapter markers in source timeline (.json5 or "hh:mm:ss Title" per line)',
+			});
+			yargs.option('subtitles', {
+				type: 'string',
+				describe: 'SRT or VTT subtitles of the whole source, split and shifted for each part',
+			});
 			yargs.option('force', {
 				alias: 'f',
 				type: 'boolean',
 				describe: 'Skip confirmation on encoding plan',
 			});
+			yargs.option('resume', {
+				type: 'boolean',
+				describe: 'Continue an interrupted run, reusing verified cuts, encodes and uploads',
+			});
+			yargs.option('dryRun', {
+				type: 'boolean',
+				describe: 'Check and plan everything, print commands, files and uploads without running them',
+			});
+			yargs.option('republish', {
+				type: 'boolean',
+				describe: 'Replace an already published episode, re-encoding what changed and removing files no longer in the plan',
+			});
+			yargs.option('logFormat', {
+				type: 'string',
+				choices: ['default', 'plain', 'json'],
+				default: 'default',
+				describe: 'Task log: default (plain when not in a terminal), plain or json lines, one event per task change',
+			});
 			yargs.option('hwEnc', {
 				type: 'string',
 				// eslint-disable-next-line unicorn/no-null
@@ -59,6 +112,30 @@ yargs(hideBin(process.argv))
 				demandOption: 'Missing output formats (missing preset?)',
 				describe: 'Formats configuration',
 			});
+			yargs.option('metadata', {
+				type: 'object',
+				hidden: true,
+				describe: 'Metadata tags for published files',
+			});
+			yargs.option('images', {
+				type: 'object',
+				hidden: true,
+				describe: 'Poster and waveform images',
+			});
+			yargs.option('feed', {
+				type: 'object',
+				hidden: true,
+				describe: 'Podcast feed configuration',
+			});
+			yargs.option('manifest', {
+				hidden: true,
+				describe: 'Manifest configuration, false to disable',
+			});
+			yargs.option('notifiers', {
+				type: 'array',
+				hidden: true,
+				describe: 'Notifiers configuration',
+			});
 			yargs.option('parts', {
 				type: 'array',
 				hidden: true,
@@ -66,9 +143,13 @@ yargs(hideBin(process.argv))
 			});
 		},
 		handler: async argv => {
-			const processor = new EpisodeProcessor(argv);
-
-			await processor.run();
+			try {
+				const processor = new EpisodeProcessor(argv);
+				await processor.run();
+			} catch (error) {
+				console.error(error.message);
+				process.exitCode = error.exitCode ?? 1;
+			}
 		},
 	})
 	.command({
@@ -99,9 +180,206 @@ yargs(hideBin(process.argv))
 			console.log(`Preset ${filename} created, go forth and edit it`);
 		},
 	})
+	.command({
+		command: 'suggest:cuts <source>',
+		desc: 'Suggest cut points from silence and black frames',
+		builder: yargs => {
+			yargs.positional('source', {
+				desc: 'Source recording file',
+				type: 'string',
+			});
+			yargs.option('start', {
+				alias: 's',
+				type: 'string',
+				describe: 'Only search after timestamp',
+			});
+			yargs.option('end', {
+				alias: 'e',
+				type: 'string',
+				describe: 'Only search before timestamp',
+			});
+			yargs.option('count', {
+				alias: 'n',
+				type: 'number',
+				default: 2,
+				describe: 'Number of cuts to suggest',
+			});
+			yargs.option('limit', {
+				type: 'number',
+				default: 10,
+				describe: 'Number of candidates to list',
+			});
+			yargs.option('skipGaps', {
+				type: 'boolean',
+				describe: 'Skip detected ranges instead of cutting in the middle of them',
+			});
+			yargs.option('noise', {
+				type: 'string',
+				default: '-50dB',
+				describe: 'Volume considered silence',
+			});
+			yargs.option('silenceDuration', {
+				type: 'number',
+				default: 2,
+				describe: 'Minimum silence duration (seconds)',
+			});
+			yargs.option('blackDuration', {
+				type: 'number',
+				default: 1,
+				describe: 'Minimum black frames duration (seconds)',
+			});
+			yargs.option('probe', {
+				type: 'boolean',
+				describe: 'Show source duration with ffprobe',
+			});
+		},
+		handler: async argv => {
+			await suggestCuts(argv);
+		},
+	})
+	.command({
+		command: 'links <output-base>',
+		desc: 'Print fresh links to an episode\'s uploaded files',
+		builder: yargs => {
+			yargs.positional('outputBase', {
+				desc: 'Base name the episode was processed with',
+				type: 'string',
+			});
+			storagePresetOptions(yargs);
+			yargs.option('expires', {
+				type: 'string',
+				describe: 'How long private links work (seconds or 30m, 12h, 7d), defaults to upload.linkExpiry from preset',
+			});
+			yargs.option('notify', {
+				type: 'boolean',
+				describe: 'Repost links to the notifiers in preset',
+			});
+			yargs.option('notifiers', {
+				type: 'array',
+				hidden: true,
+				describe: 'Notifiers configuration',
+			});
+		},
+		handler: async argv => {
+			await printLinks(argv);
+		},
+	})
+	.command({
+		command: 'episodes:list',
+		desc: 'List episodes in private and public storage',
+		builder: yargs => {
+			storagePresetOptions(yargs);
+		},
+		handler: async argv => {
+			await listEpisodes(argv);
+		},
+	})
+	.command({
+		command: 'episodes:show <output-base>',
+		desc: 'Show files of an uploaded episode',
+		builder: yargs => {
+			yargs.positional('outputBase', {
+				desc: 'Base name the episode was processed with',
+				type: 'string',
+			});
+			storagePresetOptions(yargs);
+		},
+		handler: async argv => {
+			await showEpisode(argv);
+		},
+	})
+	.command({
+		command: 'episodes:delete <output-base>',
+		desc: 'Delete files of an uploaded episode',
+		builder: yargs => {
+			yargs.positional('outputBase', {
+				desc: 'Base name the episode was processed with',
+				type: 'string',
+			});
+			storagePresetOptions(yargs);
+			yargs.option('target', {
+				type: 'array',
+				choices: ['private', 'public'],
+				describe: 'Only delete from these targets (default: both)',
+			});
+			yargs.option('force', {
+				alias: 'f',
+				type: 'boolean',
+				describe: 'Skip confirmation',
+			});
+		},
+		handler: async argv => {
+			await deleteEpisode(argv);
+		},
+	})
+	.command({
+		command: 'watch <folder>',
+		desc: 'Process recordings dropped into folder, settings come from a sidecar file next to each recording',
+		builder: yargs => {
+			yargs.positional('folder', {
+				desc: 'Folder recordings are dropped into',
+				type: 'string',
+			});
+			yargs.config('preset', 'Preset for sidecars without one, its notifiers get failures before processing', configPath => JSON5.parse(readFileSync(configPath, 'utf-8')));
+			yargs.option('interval', {
+				type: 'number',
+				default: 10,
+				describe: 'Seconds between folder scans',
+			});
+			yargs.option('settle', {
+				type: 'number',
+				default: 60,
+				describe: 'Seconds a recording has to stay unchanged before it is processed',
+			});
+			yargs.option('logFormat', {
+				type: 'string',
+				choices: ['default', 'plain', 'json'],
+				default: 'plain',
+				describe: 'Task log of processed episodes, see main command',
+			});
+		},
+		handler: async argv => {
+			await watchFolder(argv);
+		},
+	})
+	.command({
+		command: 'serve',
+		desc: 'Start local HTTP API and dashboard for submitting episodes and following their progress',
+		builder: yargs => {
+			yargs.option('presets', {
+				type: 'string',
+				default: '.',
+				describe: 'Folder with presets that can be picked',
+			});
+			yargs.option('port', {
+				type: 'number',
+				default: 8080,
+				describe: 'Port to listen on',
+			});
+			yargs.option('host', {
+				type: 'string',
+				default: '127.0.0.1',
+				describe: 'Address to listen on, there is no authentication so keep it local',
+			});
+			yargs.option('logFormat', {
+				type: 'string',
+				choices: ['plain', 'json'],
+				default: 'plain',
+				describe: 'Task log of processed episodes',
+			});
+		},
+		handler: async argv => {
+			await serve(argv);
+		},
+	})
 	.demandCommand()
 	.example([
 		['$0 --preset show.json recording.mp4 AA001 -s 00:10:01 01:02:12 02:12:30 -e 03:04:56', 'Processes recording.mp4 into 3 videos using show.json profile'],
+		['$0 suggest:cuts recording.mp4 -s 00:10:01', 'Suggests cuts for recording.mp4 from silence and black frames'],
+		['$0 episodes:delete --preset show.json AA001 --target public', 'Deletes published files of AA001 after confirmation'],
+		['$0 links --preset show.json AA001 --expires 2d', 'Prints links to AA001 files, private ones valid for 2 days'],
+		['$0 watch --preset show.json /srv/recordings', 'Processes recordings with sidecar files dropped into /srv/recordings'],
+		['$0 serve --presets ./presets', 'Starts dashboard at http://127.0.0.1:8080/ using presets in ./presets'],
 	])
 	.showHelpOnFail(false)
 	.parse();
@@ -0,0 +1,210 @@
+import {readFile} from 'node:fs/promises';
+import {extname} from 'node:path';
+
+import JSON5 from 'json5';
+
+import {parseChapter} from './chapters.js';
+import {parseDuration} from './utils.js';
+
+const TRUTHY = new Set(['1', 'true', 'yes', 'y', 'skip', 'x']);
+
+function parseTime(value) {
+	return parseDuration(String(value).trim());
+}
+
+/**
+ * Turn cuts file row into entry, unknown fields are per-part overrides
+ */
+function toEntry({start, end, name, skip, ...options}) {
+	if (start === undefined || start === '') {
+		throw new Error('Cut entry is missing start');
+	}
+
+	return {
+		start: parseTime(start),
+		end: end === undefined || end === '' ? undefined : parseTime(end),
+		name: name || undefined,
+		skip: typeof skip === 'boolean' ? skip : TRUTHY.has(String(skip ?? '').trim().toLowerCase()),
+		options: Object.keys(options).length > 0 ? options : undefined,
+	};
+}
+
+/**
+ * JSON5: array of entries, or {start, end, cuts: [...]}
+ * Entry is either a timestamp or {start, end?, name?, skip?, ...overrides}
+ */
+function parseJson5(contents) {
+	const data = JSON5.parse(contents);
+	const {start, end, cuts} = Array.isArray(data) ? {cuts: data} : data;
+
+	if (!Array.isArray(cuts)) {
+		throw new TypeError('Cuts file must contain an array of cuts');
+	}
+
+	return {
+		start: start === undefined ? undefined : parseTime(start),
+		end: end === undefined ? undefined : parseTime(end),
+		entries: cuts.map(cut => toEntry(typeof cut === 'object' ? cut : {start: cut})),
+	};
+}
+
+function parseCsvLine(line) {
+	const cells = [];
+	let current = '';
+	let quoted = false;
+
+	for (let index = 0; index < line.length; index++) {
+		const character = line[index];
+
+		if (quoted) {
+			if (character === '"' && line[index + 1] === '"') {
+				current += '"';
+				index++;
+			} else if (character === '"') {
+				quoted = false;
+			} else {
+				current += character;
+			}
+		} else if (character === '"') {
+			quoted = true;
+		} else if (character === ',') {
+			cells.push(current.trim());
+			current = '';
+		} else {
+			current += character;
+		}
+	}
+
+	cells.push(current.trim());
+
+	return cells;
+}
+
+/**
+ * CSV: optional header row (start, end, name, skip, ...overrides), without header columns are start, name
+ */
+function parseCsv(contents) {
+	const rows = contents
+		.split(/\r?\n/)
+		.filter(line => line.trim())
+		.map(line => parseCsvLine(line));
+
+	let columns = ['start', 'name'];
+	if (rows.length > 0 && !/^\d/.test(rows[0][0])) {
+		columns = rows.shift().map(column => column.toLowerCase());
+	}
+
+	return {
+		entries: rows.map(row => toEntry(Object.fromEntries(
+			columns
+				.map((column, index) => [column, row[index]])
+				.filter(([, value]) => value !== undefined && value !== ''),
+		))),
+	};
+}
+
+/**
+ * CMX3600 EDL: source in/out of video events become parts, gaps between them are skipped
+ */
+function parseEdl(contents, fps) {
+	const timecode = value => {
+		const [hours, minutes, seconds, frames] = value.split(/[.:;]/).map(part => Number.parseInt(part, 10));
+
+		return (hours * 3600) + (minutes * 60) + seconds + (frames / fps);
+	};
+
+	const entries = [];
+	let last;
+	for (const line of contents.split(/\r?\n/)) {
+		const event = /^\d+\s+\S+\s+(\S+)\s+\S+\s+(?:\d+\s+)?([\d.:;]{11})\s+([\d.:;]{11})(?:\s+[\d.:;]{11}){2}/.exec(line);
+		if (event) {
+			last = undefined;
+
+			// Only video events, audio events duplicate them
+			if (!event[1].startsWith('V')) {
+				continue;
+			}
+
+			last = {
+				start: timecode(event[2]),
+				end: timecode(event[3]),
+			};
+			entries.push(last);
+			continue;
+		}
+
+		const comment = /^\*\s*(?:comment|loc):\s*(.+)$/i.exec(line);
+		if (comment && last) {
+			last.name = comment[1].trim();
+		}
+	}
+
+	return {entries};
+}
+
+/**
+ * YouTube style list: "hh:mm:ss Title" per line, title "skip" skips the range and "end" marks end of the last part
+ */
+function parseTimestampList(contents) {
+	const entries = [];
+	let end;
+
+	for (const line of contents.split(/\r?\n/)) {
+		if (!line.trim() || line.trim().startsWith('#')) {
+			continue;
+		}
+
+		const {start, title} = parseChapter(line);
+		if (title.toLowerCase() === 'end') {
+			end = start;
+			continue;
+		}
+
+		entries.push({
+			start,
+			name: title.toLowerCase() === 'skip' ? undefined : title,
+			skip: title.toLowerCase() === 'skip',
+		});
+	}
+
+	return {
+		end,
+		entries,
+	};
+}
+
+/**
+ * Load cut plan from file
+ *
+ * Format is picked by extension: .json/.json5, .csv, .edl, anything else is treated as "hh:mm:ss Title" list
+ *
+ * @param {string} path Cuts file
+ * @param {object} options
+ * @param {number} options.fps Frame rate for EDL timecodes
+ * @returns {Promise<{start?: number, end?: number, entries: Array<{start: number, end?: number, name?: string, skip?: boolean, options?: object}>}>} Plan
+ */
+export async function loadCutsFile(path, {fps = 30} = {}) {
+	const contents = await readFile(path, 'utf-8');
+
+	let plan;
+	switch (extname(path).toLowerCase()) {
+		case '.json':
+		case '.json5':
+			plan = parseJson5(contents);
+			break;
+		case '.csv':
+			plan = parseCsv(contents);
+			break;
+		case '.edl':
+			plan = parseEdl(contents, fps);
+			break;
+		default:
+			plan = parseTimestampList(contents);
+	}
+
+	if (plan.entries.length === 0) {
+		throw new Error(`No cuts found in ${path}`);
+	}
+
+	return plan;
+}
@@ -1,19 +1,93 @@
 import {execFile} from 'node:child_process';
-import {access, mkdir} from 'node:fs/promises';
-import {constants as fsConstants, createReadStream} from 'node:fs';
+import {EventEmitter} from 'node:events';
+import {access, mkdir, readdir, rm, stat, writeFile} from 'node:fs/promises';
+import {constants as fsConstants} from 'node:fs';
 import {EOL} from 'node:os';
-import {basename, join} from 'node:path';
+import {basename, dirname, join} from 'node:path';
+
+import {bold, green, red, yellow} from 'colorette';
+import {Manager} from 'listr2';
+
+import {loadChaptersFile, normalizeChapters, parseChapter} from './chapters.js';
+import {loadCutsFile} from './cuts-file.js';
+import {formatSrt, formatVtt, loadSubtitlesFile} from './subtitles.js';
+import {buildFeedItem, mergeFeed} from './feed.js';
+import {createNotifiers} from './notifiers/index.js';
+import {CancelledError, ChecklistError, UploadError} from './errors.js';
+import LogRenderer, {writeLogEvent} from './log-renderer.js';
+import {
+	EncodeProgress,
+	estimateSize,
+	FFMpegQueue,
+	formatCommand,
+	formatFFMetadata,
+	formatLoudness,
+	getLoudnessMeasureSettings,
+	getOutputEncodingSettings,
+	getPartEncodingSettings,
+	getPartLoudnessMeasureSettings,
+	getPosterSettings,
+	getSourceFormat,
+	getWaveformSettings,
+	parseLoudnormOutput,
+	runFFmpeg,
+	runFFprobe,
+} from './ffmpeg.js';
+import {delay, formatDuration, formatExpiry, formatSize, getFileName, getOutputMetadata, getTemplateValues, hashFile, joinS3Path, parseDuration, parseExpiry, sha256} from './utils.js';
+import {cutsToSegments, planParts, resolveSegments} from './plan.js';
+import {createStorage, getTaskProgress} from './storage/index.js';
+import {buildManifest, formatProbe, getPresetValues, getToolInfo} from './manifest.js';
+import {getFormatMimeType, isPlaylistFormat, resolveFormat} from './formats.js';
+import EpisodeState, {describeFolder} from './state.js';
+
+/**
+ * Planned keys ending with / are folders (playlists)
+ */
+function matchesPlannedKey(plannedKey, key) {
+	return plannedKey.endsWith('/') ? key.startsWith(plannedKey) : key === plannedKey;
+}
+
+/**
+ * Commands for dry run, second loudness pass gets measured values only when running
+ */
+function describeEncode({loudness, getLoudnessArgs, getArgs}) {
+	return [
+		...(loudness ? [`    Measure loudness: ${formatCommand(getLoudnessArgs())}`] : []),
+		`    Encode${loudness ? ' (measured loudness is added to filter)' : ''}: ${formatCommand(getArgs())}`,
+	];
+}
 
-import {GetObjectCommand, ListBucketsCommand, ListObjectsV2Command, S3Client} from '@aws-sdk/client-s3';
-import {Upload} from '@aws-sdk/lib-storage';
-import {getSignedUrl} from '@aws-sdk/s3-request-presigner';
-import {red} from 'colorette';
-import got from 'got';
-import {Manager, figures} from 'listr2';
+/**
+ * Checklist task failing with ChecklistError, so the run exits with its own code
+ */
+function asChecklistTask(task) {
+	return {
+		...task,
+		task: async (context, wrapper) => {
+			try {
+				return await task.task(context, wrapper);
+			} catch (error) {
+				throw new ChecklistError(error.message, {cause: error});
+			}
+		},
+	};
+}
 
-import {FFMpegQueue, getOutputEncodingSettings, getPartEncodingSettings, runFFmpeg} from './ffmpeg.js';
-import {delay, formatDuration, getFileName, getPartInfo, joinS3Path, parseDuration} from './utils.js';
-import {getUploadOptions, updateTaskWithUpload} from './s3.js';
+function formatLoudnessResult({measured, achieved}) {
+	return `measured ${formatLoudness(measured)}, achieved ${formatLoudness(achieved, 'output')}`;
+}
+
+function getTaskState(task) {
+	switch (true) {
+		case task.isPending():
+			return 'pending';
+		case task.isCompleted():
+			return 'completed';
+		case task.hasFailed():
+			return 'failed';
+		default:
+	}
+}
 
 export default class EpisodeProcessor {
 	constructor(argv) {
@@ -25,85 +99,103 @@ export default class EpisodeProcessor {
 		this.parts = argv.parts;
 		this.formats = argv.formats;
 
-		this.s3 = this.configureS3();
-		// https://github.com/aws/aws-sdk-js-v3/issues/2438
-		this.signS3 = this.configureS3();
+		try {
+			this.storage = argv.upload ? createStorage(argv.upload, this.outputBase) : false;
+			this.notifiers = createNotifiers(argv);
+		} catch (error) {
+			// Invalid configuration fails like the checklist, nothing has been done yet
+			throw new ChecklistError(error.message, {cause: error});
+		}
 
-		this.buckets = argv.upload ? {
-			private: {
-				...argv.upload.private,
-				outputPrefix: joinS3Path(argv.upload.private.prefix, this.outputBase),
-			},
-			public: {
-				...argv.upload.public,
-				outputPrefix: joinS3Path(argv.upload.public.prefix, this.outputBase),
-			},
-		} : false;
+		// Republishing reuses whatever is still valid, same as resuming
+		this.reuse = Boolean(argv.resume || argv.republish);
 
 		this.ffmpegQueues = {
 			video: new FFMpegQueue(argv.parallel?.video ?? 1),
 		};
 		this.ffmpegQueues.audio = argv.parallel?.audio > 0 ? new FFMpegQueue(argv.parallel.audio) : this.ffmpegQueues.video;
+		// Encodes of task groups with ETA
+		this.encodeProgress = {
+			cuts: new EncodeProgress(),
+			outputs: new EncodeProgress(),
+		};
 		this.hwEnc = argv.hwEnc;
+		this.date = new Date();
 
-		this.webhookErrors = [];
+		this.state = new EpisodeState(this.outputBase);
 
+		// Status of task groups, same as sent to notifiers but more often
+		this.events = new EventEmitter();
+		this.abortController = new AbortController();
+
+		// Without a terminal the default renderer falls back to plain log
+		this.logFormat = argv.logFormat ?? 'default';
+		const logOptions = {
+			format: this.logFormat === 'json' ? 'json' : 'plain',
+		};
 		this.tasks = new Manager({
-			rendererOptions: {
+			renderer: this.logFormat === 'default' ? 'default' : LogRenderer,
+			rendererOptions: this.logFormat === 'default' ? {
 				collapse: false,
 				collapseSkips: false,
 				removeEmptyLines: false,
 				showTimer: true,
-			},
+			} : logOptions,
+			nonTTYRenderer: LogRenderer,
+			nonTTYRendererOptions: logOptions,
 		});
 		this.populateTasks();
 	}
 
-	configureS3() {
-		const client = new S3Client({
-			// DO Spaces don't need this while S3 client fails without it
-			region: '-',
-			...this.argv.upload.options,
-		});
-
-		// https://github.com/aws/aws-sdk-js-v3/issues/1814#issuecomment-765624523
-		client.middlewareStack.add(
-			(next, _context) => args => {
-				if (
-					args.request
-					&& args.request.body
-					&& args.request.body.includes('CompletedMultipartUpload')
-				) {
-					args.request.body = args.request.body.replace(
-						/CompletedMultipartUpload/g,
-						'CompleteMultipartUpload',
-					);
-				}
+	async run() {
+		let context;
+		try {
+			context = await this.tasks.runAll();
+		} catch (error) {
+			const cancelled = this.abortController.signal.aborted;
+			// Concurrent encodes and uploads would keep running after the failed one
+			this.abortController.abort();
+
+			// Nothing has been done yet if checklist fails
+			if (!(error instanceof ChecklistError)) {
+				await this.notifiers.emit('error', {
+					outputBase: this.outputBase,
+					message: cancelled ? 'Processing cancelled, manual intervention required.' : 'Processing error, manual intervention required.',
+				});
+			}
 
-				return next(args);
-			},
-			{
-				step: 'build',
-				priority: 'high',
-			},
-		);
+			throw cancelled ? new CancelledError(`Processing ${this.outputBase} was cancelled`, {cause: error}) : error;
+		} finally {
+			await Promise.all(Object.values(this.storage || {}).map(target => target.close()));
+		}
 
-		return client;
-	}
+		if (this.argv.dryRun) {
+			this.report('dryRun', this.getDryRunPlan(context));
+			return;
+		}
 
-	async run() {
-		await this.tasks.runAll();
+		const loudness = this.getLoudnessSummary(context);
+		if (loudness) {
+			this.report('loudness', 'Loudness:' + EOL + loudness);
+		}
 
-		if (this.webhookErrors.length > 0) {
-			console.error(`Webhook had ${this.webhookErrors.length} errors, showing first 5`);
-			console.error(this.webhookErrors.slice(0, 5));
+		if (this.notifiers.errors.length > 0) {
+			console.error(`Notifiers had ${this.notifiers.errors.length} errors, showing first 5`);
+			console.error(this.notifiers.errors.slice(0, 5));
 		}
 	}
 
+	/**
+	 * Stop running encodes and uploads, run fails with CancelledError
+	 */
+	cancel() {
+		this.abortController.abort();
+	}
+
 	populateTasks() {
 		this.tasks.add([
 			this.tasks.indent(
-				this.checklist(),
+				this.checklist().map(task => asChecklistTask(task)),
 				{},
 				{
 					title: 'Pre-run Checklist',
@@ -112,12 +204,12 @@ export default class EpisodeProcessor {
 			this.tasks.indent(
 				[
 					{
-						title: 'Notifying discord of start',
+						title: 'Notifying of start',
 						task: async context => {
-							await this.postWebHook(
-								':star: Started processing',
-								context.summary,
-							);
+							await this.notifiers.emit('start', {
+								outputBase: this.outputBase,
+								summary: context.summary,
+							});
 						},
 					},
 					{
@@ -135,47 +227,95 @@ export default class EpisodeProcessor {
 										name: getFileName(part.filename, format),
 										location: undefined,
 									})),
+									images: {},
+									subtitles: [],
 								})),
 							};
 
-							await mkdir(this.outputBase);
-							await mkdir(join(this.outputBase, 'parts'));
+							// Folders exist already when resuming
+							const options = {recursive: this.reuse};
+							await mkdir(this.outputBase, options);
+							await mkdir(join(this.outputBase, 'parts'), options);
+							// Folder can only be resumed from now on, even if nothing gets finished
+							await this.state.save();
 						},
 					},
-					this.indentWithDiscordStatus(
+					this.indentWithStatus(
 						context => this.getCuts(context),
 						{
 							concurrent: true,
 						},
 						{
 							title: 'Generate Cuts',
+							progress: this.encodeProgress.cuts,
 						},
 					),
-					this.indentWithDiscordStatus(
+					this.tasks.indent(
+						context => this.getSubtitleTasks(context),
+						{},
+						{
+							title: 'Generate subtitles',
+							enabled: () => this.argv.subtitles,
+						},
+					),
+					this.indentWithStatus(
 						context => this.getPublishedFiles(context),
 						{
 							concurrent: true,
 						},
 						{
 							title: 'Generate published files',
+							progress: this.encodeProgress.outputs,
+						},
+					),
+					this.indentWithStatus(
+						context => this.getImages(context),
+						{
+							concurrent: true,
+						},
+						{
+							title: 'Generate images',
+							enabled: () => this.argv.images,
+						},
+					),
+					{
+						title: 'Remove files no longer in plan',
+						enabled: context => context.republish?.removed.length > 0 || context.republish?.playlists.length > 0,
+						task: async context => {
+							const removed = [...context.republish.removed, ...await this.getStalePlaylistFiles(context.republish.playlists)];
+
+							for (const target of new Set(removed.map(({target}) => target))) {
+								// eslint-disable-next-line no-await-in-loop
+								await target.delete(removed.filter(file => file.target === target).map(({key}) => key));
+							}
+						},
+					},
+					this.tasks.indent(
+						context => this.getFeedTasks(context),
+						{},
+						{
+							title: 'Publish feed',
+							enabled: () => this.storage && this.argv.feed,
+						},
+					),
+					this.tasks.indent(
+						this.getManifestTasks(),
+						{},
+						{
+							title: 'Write manifest',
+							enabled: () => this.argv.manifest !== false,
 						},
 					),
 				],
 				{},
 				{
-					rollback: async () => {
-						// Webhook for error
-						await this.postWebHook(
-							':x: Processing error, manual intervention required.',
-							undefined,
-							true,
-						);
-					},
+					enabled: () => !this.argv.dryRun,
 				},
 			),
 			{
-				title: 'Post result to discord',
-				task: context => this.resultToWebhook(context),
+				title: 'Post result to notifiers',
+				enabled: () => !this.argv.dryRun,
+				task: context => this.notifyResult(context),
 			},
 		]);
 	}
@@ -215,14 +355,38 @@ export default class EpisodeProcessor {
 					});
 				},
 			},
+			{
+				title: 'Formats: valid container and codecs',
+				task: async (_context, task) => {
+					const resolved = this.formats.map((format, index) => {
+						try {
+							return resolveFormat(format);
+						} catch (error) {
+							throw new Error(`Format #${index}: ${error.message}`);
+						}
+					});
+
+					task.title = 'Formats: ' + resolved
+						.map(({container, videoCodec, audioCodec}) => `${container} (${[videoCodec, audioCodec].filter(Boolean).join('/')})`)
+						.join(', ');
+				},
+			},
 			{
 				title: 'Input file exists',
 				task: async () => {
 					await access(this.source, fsConstants.R_OK);
 				},
 			},
+			{
+				title: 'Cover art exists',
+				enabled: () => this.getCoverFiles().length > 0,
+				task: async () => {
+					await Promise.all(this.getCoverFiles().map(file => access(file, fsConstants.R_OK)));
+				},
+			},
 			{
 				title: 'Output folder doesn\'t exist',
+				enabled: () => !this.reuse,
 				task: async () => {
 					try {
 						await access(this.outputBase, fsConstants.F_OK);
@@ -238,64 +402,65 @@ export default class EpisodeProcessor {
 				},
 			},
 			{
-				title: 'Check S3 access',
-				enabled: () => this.buckets,
-				task: async () => {
-					const request = new ListBucketsCommand({});
-					const {Buckets: buckets} = await this.s3.send(request);
+				title: 'Load previous run state',
+				enabled: () => this.reuse,
+				task: async (_context, task) => {
+					try {
+						await this.state.load();
+					} catch (error) {
+						if (error.code === 'ENOENT' && this.argv.republish) {
+							task.title = 'No previous run state, everything is encoded again';
+							return;
+						}
 
-					const privateB = buckets.find(({Name}) => Name === this.buckets.private.bucket);
-					if (!privateB) {
-						throw new Error('Private bucket not found');
-					}
+						if (error.code === 'ENOENT') {
+							throw new Error(`No previous run state found in ${this.outputBase}`);
+						}
 
-					const publicB = buckets.find(({Name}) => Name === this.buckets.public.bucket);
-					if (!publicB) {
-						throw new Error('Public bucket not found');
+						throw error;
 					}
 				},
 			},
 			{
-				title: 'S3: no files in private',
-				enabled: () => this.buckets,
-				task: async () => {
-					const request = new ListObjectsV2Command({
-						Bucket: this.buckets.private.bucket,
-						Prefix: this.buckets.private.outputPrefix,
-					});
-					const {KeyCount, Contents} = await this.s3.send(request);
-
-					if (KeyCount > 0) {
-						throw new Error(
-							`Private bucket already has ${KeyCount} files starting with ${this.buckets.private.outputPrefix}\n\n`
-							+ Contents.slice(0, 10).map(({Key}) => Key).join(', '),
-						);
-					}
+				title: 'Storage: valid link expiry',
+				task: () => {
+					this.linkExpiry = parseExpiry(this.argv.upload?.linkExpiry ?? '7d');
+					this.storage?.private.checkLinkExpiry(this.linkExpiry);
 				},
 			},
 			{
-				title: 'S3: no files in public',
-				enabled: () => this.buckets,
+				title: 'Storage: check access',
+				enabled: () => this.storage,
 				task: async () => {
-					const request = new ListObjectsV2Command({
-						Bucket: this.buckets.public.bucket,
-						Prefix: this.buckets.public.outputPrefix,
-					});
-					const {KeyCount, Contents} = await this.s3.send(request);
+					await Promise.all(Object.entries(this.storage).map(async ([name, target]) => {
+						try {
+							await target.check();
+						} catch (error) {
+							throw new Error(`Can't access ${name} storage ${target.id}: ${error.message}`);
+						}
+					}));
+				},
+			},
+			...['private', 'public'].map(name => ({
+				title: `Storage: no files in ${name}`,
+				enabled: () => this.storage && !this.reuse,
+				task: async () => {
+					const target = this.storage[name];
+					const files = await target.list(target.outputPrefix);
 
-					if (KeyCount > 0) {
+					if (files.length > 0) {
 						throw new Error(
-							`Public bucket already has ${KeyCount} files starting with ${this.buckets.private.outputPrefix}\n\n`
-							+ Contents.slice(0, 10).map(({Key}) => Key).join(', '),
+							`${name[0].toUpperCase() + name.slice(1)} storage already has ${files.length} files starting with ${target.outputPrefix}\n\n`
+							+ files.slice(0, 10).map(({key}) => key).join(', '),
 						);
 					}
 				},
-			},
+			})),
 			{
 				title: 'Input: ffprobe analyse',
 				task: async (context, task) => {
 					await new Promise((resolve, reject) => {
-						execFile('ffprobe', ['-hide_banner', '-print_format', 'json', '-show_format', this.source], (error, stdout, stderr) => {
+						execFile('ffprobe', ['-hide_banner', '-print_format', 'json', '-show_format', '-show_streams', this.source], (error, stdout, stderr) => {
 							if (error) {
 								return reject(new Error(`Couldn't execute ${error.path}: ${error.code}`));
 							}
@@ -312,55 +477,77 @@ export default class EpisodeProcessor {
 				},
 			},
 			{
-				title: 'Plan',
-				task: async (context, task) => {
-					const duration = Number.parseFloat(context.ffprobe.format.duration);
-
-					const start = this.argv.start ? parseDuration(this.argv.start) : 0;
-					const cuts = this.argv.cuts.map(v => (/^\d/.test(v) ? parseDuration(v) : v));
-					const end = this.argv.end ? parseDuration(this.argv.end) : duration;
-
-					const parts = [];
-					let partStart = start;
-					let partI = 0;
-					let skipNext = false;
-					for (const cut of cuts) {
-						if (cut === 'skip') {
-							skipNext = true;
-							continue;
-						}
-
-						if (skipNext) {
-							skipNext = false;
-							partStart = cut;
-							continue;
-						}
+				title: 'Load cuts file',
+				enabled: () => this.argv.cutsFile,
+				task: async context => {
+					if (this.argv.cuts?.length > 0) {
+						throw new Error('Cuts can be given either as arguments or with --cuts-file, not both');
+					}
 
-						const index = partI++;
-						if (this.parts[index] === false) {
-							partStart = cut;
-							continue;
-						}
+					const [numerator, denominator = 1] = getSourceFormat(context.ffprobe).fps.split('/').map(value => Number(value));
+					context.cutsFile = await loadCutsFile(this.argv.cutsFile, {
+						fps: numerator / denominator,
+					});
+				},
+			},
+			{
+				title: 'Bumpers: ffprobe analyse',
+				enabled: context => this.getBumperFiles(context).length > 0,
+				task: async (context, task) => {
+					context.bumpers = {};
 
-						parts.push(getPartInfo({
-							start: partStart,
-							end: cut,
-							index,
-							partOptions: this.parts[index],
-							outputBase: this.outputBase,
-						}));
-						partStart = cut;
-					}
+					for (const file of this.getBumperFiles(context)) {
+						// eslint-disable-next-line no-await-in-loop
+						const probe = await runFFprobe(file);
+						const streams = probe.streams.filter(stream => !stream.disposition?.attached_pic);
 
-					if (this.parts[partI] !== false) {
-						parts.push(getPartInfo({
-							start: partStart,
-							end,
-							index: partI,
-							partOptions: this.parts[partI],
-							outputBase: this.outputBase,
-						}));
+						context.bumpers[file] = {
+							duration: Number.parseFloat(probe.format.duration),
+							hasVideo: streams.some(stream => stream.codec_type === 'video'),
+							hasAudio: streams.some(stream => stream.codec_type === 'audio'),
+						};
+						task.output = `${file}: ${formatDuration(context.bumpers[file].duration)}`;
 					}
+				},
+			},
+			{
+				title: 'Load chapters',
+				enabled: () => this.argv.chapter?.length > 0 || this.argv.chaptersFile,
+				task: async context => {
+					context.chapters = [
+						...(this.argv.chapter ?? []).map(line => parseChapter(line)),
+						...(this.argv.chaptersFile ? await loadChaptersFile(this.argv.chaptersFile) : []),
+					];
+				},
+			},
+			{
+				title: 'Load subtitles',
+				enabled: () => this.argv.subtitles,
+				task: async (context, task) => {
+					context.subtitles = await loadSubtitlesFile(this.argv.subtitles);
+					task.title = `Loaded ${context.subtitles.length} subtitles`;
+				},
+			},
+			{
+				title: 'Plan',
+				task: async (context, task) => {
+					const duration = Number.parseFloat(context.ffprobe.format.duration);
+					const chapters = normalizeChapters(context.chapters ?? []);
+
+					const start = this.argv.start ? parseDuration(this.argv.start) : (context.cutsFile?.start ?? 0);
+					const end = this.argv.end ? parseDuration(this.argv.end) : (context.cutsFile?.end ?? duration);
+
+					const segments = context.cutsFile
+						? resolveSegments(context.cutsFile.entries, start, end)
+						: cutsToSegments(start, this.argv.cuts ?? [], end);
+					const parts = planParts({
+						segments,
+						parts: this.parts,
+						outputBase: this.outputBase,
+						chapters,
+						subtitles: context.subtitles,
+						bumpers: context.bumpers,
+					});
 
 					context.start = start;
 					context.end = end;
@@ -369,14 +556,21 @@ export default class EpisodeProcessor {
 					context.summary = [
 						`Input file: ${this.source} (${formatDuration(duration)})`,
 						`Output folder (local): ${this.outputBase}/`,
-						...(this.buckets ? [
-							`Output prefix (private): ${this.buckets.private.outputPrefix}/`,
-							`Output prefix (public): ${this.buckets.public.outputPrefix}/`,
+						...(this.storage ? [
+							`Output prefix (private): ${this.storage.private.outputPrefix}/`,
+							`Output prefix (public): ${this.storage.public.outputPrefix}/`,
 						] : [
 							red('No upload'),
 						]),
 						'',
-						...parts.map((part, index) => `Part ${index + 1}: ${formatDuration(part.start)} - ${formatDuration(part.end)} (duration: ${formatDuration(part.end - part.start)})  ${part.filename}`),
+						...parts.flatMap((part, index) => [
+							`Part ${index + 1}: ${formatDuration(part.start)} - ${formatDuration(part.end)} (duration: ${formatDuration(part.duration)})  ${part.filename}${part.name ? ` (${part.name})` : ''}`,
+							...[['Intro', part.intro], ['Outro', part.outro]]
+								.filter(([, bumper]) => bumper)
+								.map(([name, bumper]) => `  ${name}: ${bumper.file} (duration: ${formatDuration(bumper.duration)})`),
+							...part.chapters.map(chapter => `  Chapter ${formatDuration(chapter.start)} - ${formatDuration(chapter.end)}  ${chapter.title}`),
+							...(context.subtitles ? [`  Subtitles: ${part.subtitles.length}`] : []),
+						]),
 					].join(EOL);
 					task.output = context.summary;
 
@@ -390,14 +584,51 @@ export default class EpisodeProcessor {
 					if (lastPart.end > duration) {
 						throw new Error('Last part end is after source end.');
 					}
+
+					if (this.storage && this.argv.feed) {
+						const {part = 0, format = 0} = this.argv.feed;
+						if (!parts.some(({index}) => index === part)) {
+							throw new Error(`Feed part ${part} is not in the plan`);
+						}
+
+						if (!this.formats[format]) {
+							throw new Error(`Feed format ${format} doesn't exist`);
+						}
+
+						if (isPlaylistFormat(this.formats[format])) {
+							throw new Error(`Feed format ${format} is a playlist, podcast apps need a single file`);
+						}
+					}
 				},
 				options: {
 					persistentOutput: true,
 				},
 			},
+			{
+				title: 'Storage: compare with published episode',
+				enabled: () => this.storage && this.argv.republish,
+				task: async (context, task) => {
+					context.republish = await this.getRepublishChanges(context.parts);
+
+					const {added, replaced, removed} = context.republish;
+					context.summary += EOL + EOL + [
+						`Republish: ${added.length} added, ${replaced.length} replaced (if changed), ${removed.length} removed`,
+						...added.map(({name, key}) => green(`  + ${name}: ${key}`)),
+						...replaced.map(({name, key}) => yellow(`  ~ ${name}: ${key}`)),
+						...removed.map(({name, key}) => red(`  - ${name}: ${key}`)),
+					].join(EOL);
+					task.title = `Storage: ${added.length} to add, ${replaced.length} to replace, ${removed.length} to remove`;
+				},
+			},
 			{
 				title: 'User confirmation',
+				enabled: () => !this.argv.dryRun,
 				task: async (context, task) => {
+					if (!this.argv.force && !process.stdin.isTTY) {
+						task.title = 'User confirmation skipped, not running in a terminal';
+						return;
+					}
+
 					const answer = this.argv.force || await task.prompt({
 						type: 'confirm',
 						message: context.summary + EOL + 'Confirm this looks good',
@@ -410,93 +641,286 @@ export default class EpisodeProcessor {
 		];
 	}
 
+	/**
+	 * Keys uploaded by this run, playlist folders end with /
+	 *
+	 * @returns {{private: string[], public: string[]}} Keys
+	 */
+	getPlannedKeys(parts) {
+		const privatePrefix = this.storage.private.outputPrefix;
+		const publicPrefix = this.storage.public.outputPrefix;
+
+		return {
+			private: [
+				...(this.argv.upload.uploadRaw === false ? [] : [joinS3Path(privatePrefix, 'source', basename(this.source))]),
+				...parts.map(part => joinS3Path(privatePrefix, part.filename + '.mp4')),
+				...(this.argv.manifest?.private ? [joinS3Path(privatePrefix, 'manifest.private.json')] : []),
+			],
+			public: [
+				...parts.flatMap(part => [
+					...this.formats.map(format => isPlaylistFormat(format)
+						? joinS3Path(publicPrefix, dirname(getFileName(part.filename, format))) + '/'
+						: joinS3Path(publicPrefix, getFileName(part.filename, format))),
+					...(this.argv.subtitles && part.subtitles.length > 0 ? ['.srt', '.vtt'].map(extension => joinS3Path(publicPrefix, part.filename + extension)) : []),
+					...(this.argv.images ? this.getImageSettings(part).map(({filename}) => joinS3Path(publicPrefix, filename)) : []),
+				]),
+				...(this.argv.manifest === false ? [] : [joinS3Path(publicPrefix, 'manifest.json')]),
+			],
+		};
+	}
+
+	/**
+	 * Compare planned keys with files already in storage
+	 *
+	 * Files in replaced playlist folders are only known after encoding, so they're listed in playlists for getStalePlaylistFiles
+	 *
+	 * @returns {Promise<{added: Array, replaced: Array, removed: Array, playlists: Array}>} Changes as {name, target, key}, playlists with existing keys
+	 */
+	async getRepublishChanges(parts) {
+		const planned = this.getPlannedKeys(parts);
+		const changes = {added: [], replaced: [], removed: [], playlists: []};
+
+		for (const name of ['private', 'public']) {
+			const target = this.storage[name];
+			// eslint-disable-next-line no-await-in-loop
+			const existing = (await target.list(target.outputPrefix + '/')).map(({key}) => key);
+
+			for (const key of planned[name]) {
+				const existingFiles = existing.filter(existingKey => matchesPlannedKey(key, existingKey));
+				changes[existingFiles.length > 0 ? 'replaced' : 'added'].push({name, target, key});
+
+				if (key.endsWith('/') && existingFiles.length > 0) {
+					changes.playlists.push({name, target, key, existing: existingFiles});
+				}
+			}
+
+			for (const key of existing) {
+				if (!planned[name].some(plannedKey => matchesPlannedKey(plannedKey, key))) {
+					changes.removed.push({name, target, key});
+				}
+			}
+		}
+
+		return changes;
+	}
+
+	/**
+	 * Segments and variant playlists of earlier encodes in republished playlist folders, compared with the uploaded local folders
+	 *
+	 * @returns {Promise<Array>} Files to remove as {name, target, key}
+	 */
+	async getStalePlaylistFiles(playlists) {
+		const stale = await Promise.all(playlists.map(async ({name, target, key, existing}) => {
+			const folder = join(this.outputBase, key.slice(target.outputPrefix.length + 1));
+			const uploaded = new Set((await readdir(folder)).map(file => joinS3Path(key, file)));
+
+			return existing
+				.filter(existingKey => !uploaded.has(existingKey))
+				.map(existingKey => ({name, target, key: existingKey}));
+		}));
+
+		return stale.flat();
+	}
+
+	/**
+	 * Describe everything a run would do: commands, local files, uploads and estimated sizes
+	 *
+	 * @returns {string} Plan
+	 */
+	getDryRunPlan(context) {
+		const lines = [];
+		let total = 0;
+		const upload = (name, key) => this.storage ? [`    Upload (${name}): ${key}`] : [];
+		const estimate = (args, duration) => {
+			const size = estimateSize(args, duration);
+			total += size ?? 0;
+
+			return size === undefined ? 'lossless, size unknown' : `~${formatSize(size)}`;
+		};
+
+		lines.push(bold('Dry run, nothing was encoded, uploaded or sent'), '', context.summary, '');
+
+		if (this.storage && this.argv.upload.uploadRaw !== false) {
+			lines.push(bold('Source'), `  ${this.source}`, ...upload('private', joinS3Path(this.storage.private.outputPrefix, 'source', basename(this.source))), '');
+		}
+
+		lines.push(bold('Cuts'));
+		for (const part of context.parts) {
+			const settings = this.getCutSettings(context, part);
+			lines.push(
+				`  ${settings.localLocation} (${estimate(settings.getArgs(), part.duration)})`,
+				...describeEncode(settings),
+				...upload('private', joinS3Path(this.storage?.private.outputPrefix, part.filename + '.mp4')),
+			);
+		}
+
+		if (this.argv.subtitles) {
+			lines.push('', bold('Subtitles'));
+			for (const part of context.parts.filter(part => part.subtitles.length > 0)) {
+				for (const filename of [part.filename + '.srt', part.filename + '.vtt']) {
+					lines.push(`  ${join(this.outputBase, filename)}`, ...upload('public', joinS3Path(this.storage?.public.outputPrefix, filename)));
+				}
+			}
+		}
+
+		lines.push('', bold('Published files'));
+		for (const part of context.parts) {
+			for (const format of this.formats) {
+				const settings = this.getOutputSettings(part, format);
+				lines.push(
+					`  ${settings.outputLocation} (${estimate(settings.getArgs(), part.duration)})`,
+					...describeEncode(settings),
+					...upload('public', joinS3Path(this.storage?.public.outputPrefix, settings.filename) + (settings.playlist ? ' (with segments)' : '')),
+				);
+			}
+		}
+
+		if (this.argv.images) {
+			lines.push('', bold('Images'));
+			for (const part of context.parts) {
+				for (const {filename, getArgs} of this.getImageSettings(part)) {
+					const location = join(this.outputBase, filename);
+					lines.push(`  ${location}`, `    Render: ${formatCommand(getArgs(location))}`, ...upload('public', joinS3Path(this.storage?.public.outputPrefix, filename)));
+				}
+			}
+		}
+
+		if (this.storage && this.argv.feed) {
+			const feedKey = joinS3Path(this.storage.public.prefix, this.argv.feed.filename ?? 'feed.xml');
+			lines.push('', bold('Feed'), `  ${join(this.outputBase, basename(feedKey))}`, ...upload('public', feedKey));
+		}
+
+		if (this.argv.manifest !== false) {
+			lines.push('', bold('Manifest'), `  ${join(this.outputBase, 'manifest.json')}`, ...upload('public', joinS3Path(this.storage?.public.outputPrefix, 'manifest.json')));
+			if (this.storage && this.argv.manifest?.private) {
+				lines.push(`  ${join(this.outputBase, 'manifest.private.json')}`, ...upload('private', joinS3Path(this.storage.private.outputPrefix, 'manifest.private.json')));
+			}
+		}
+
+		lines.push('', `Estimated size of cuts and published files: ~${formatSize(total)}`);
+
+		return lines.join(EOL);
+	}
+
+	getBumperFiles(context) {
+		const options = [
+			...(this.parts ?? []),
+			...(context.cutsFile?.entries ?? []).map(entry => entry.options),
+		];
+		const files = options.flatMap(part => [part?.intro, part?.outro]);
+
+		return [...new Set(files.filter(Boolean))];
+	}
+
+	getCoverFiles() {
+		const covers = [
+			this.argv.metadata?.cover,
+			...this.formats.map(format => format?.metadata?.cover),
+		];
+
+		return [...new Set(covers.filter(Boolean))];
+	}
+
 	getCuts(context) {
 		const tasks = [];
 
 		tasks.push({
 			title: 'Upload source',
-			enabled: () => this.buckets && this.argv.upload?.uploadRaw !== false,
+			enabled: () => this.storage && this.argv.upload?.uploadRaw !== false,
 			task: async (context, task) => {
 				const sourceFileName = basename(this.source);
 				task.title = task.title + ' ' + sourceFileName;
 
-				const params = {
-					Bucket: this.buckets.private.bucket,
-					Key: joinS3Path(this.buckets.private.outputPrefix, 'source', sourceFileName),
-					Body: createReadStream(this.source),
-				};
-
-				const upload = new Upload({
-					client: this.s3,
-					...getUploadOptions(params, this.outputBase),
-				});
-
-				updateTaskWithUpload(task, upload);
-
-				const {Bucket, Key, Location} = await upload.done();
-				task.output = Location;
+				// Hashing the whole source would take a while, size and modification time is good enough
+				const {size, mtimeMs} = await stat(this.source);
+
+				const key = joinS3Path(this.storage.private.outputPrefix, 'source', sourceFileName);
+				// Source uploaded by any earlier run is good enough when republishing
+				if (this.argv.republish && await this.storage.private.size(key) === size) {
+					task.title += ' (already uploaded)';
+				} else {
+					await this.uploadFile(task, {
+						target: this.storage.private,
+						key,
+						file: this.source,
+						fingerprint: `${size}:${mtimeMs}`,
+					});
+				}
 
-				const url = await getSignedUrl(this.signS3, new GetObjectCommand({
-					Bucket,
-					Key,
-				}), {expiresIn: 7 * 24 * 60 * 60});
 				context.uploads.raw.filename = sourceFileName;
-				context.uploads.raw.location = url;
+				context.uploads.raw.location = await this.storage.private.getLink(key, {expiresIn: this.linkExpiry});
 			},
 		});
 
 		for (const part of context.parts) {
-			const localLocation = join(this.outputBase, 'parts', part.filename + '.mp4');
+			const {localLocation, loudness, loudnessId, getLoudnessArgs, getArgs} = this.getCutSettings(context, part);
+			const progress = this.encodeProgress.cuts;
+			let reuse = false;
+
+			progress.add(localLocation, part.duration);
+			if (loudness) {
+				progress.add(loudnessId, part.duration);
+			}
 
 			tasks.push(this.tasks.indent([
+				{
+					title: 'Verify previous cut',
+					enabled: () => this.reuse,
+					task: async (_context, task) => {
+						reuse = await this.state.isEncoded('cuts', part.filename, localLocation, getArgs());
+						task.title = reuse ? 'Previous cut verified' : 'No usable cut from previous run';
+						if (reuse) {
+							progress.remove(localLocation);
+							progress.remove(loudnessId);
+						}
+					},
+				},
 				{
 					title: 'Wait for encoder slot',
+					skip: () => reuse,
 					task: async () => {
 						await this.ffmpegQueues.video.wait();
 					},
 				},
+				this.measureLoudnessTask(
+					loudnessId,
+					loudness,
+					getLoudnessArgs,
+					this.ffmpegQueues.video,
+					() => reuse,
+					progress,
+				),
 				{
 					title: 'Encode cut',
+					skip: () => reuse && 'Using cut from previous run',
 					task: async (_context, task) => {
-						const args = getPartEncodingSettings(
-							part,
-							this.source,
-							localLocation,
-							this.argv.partEncoding,
-							this.hwEnc,
-						);
+						const args = getArgs();
+						let output;
 						try {
-							await runFFmpeg(args, task);
+							output = await this.encode(args, task, progress, localLocation);
 						} finally {
 							this.ffmpegQueues.video.done();
 						}
+
+						await this.state.setEncoded('cuts', part.filename, localLocation, args, this.getLoudnessResult(task, loudnessId, loudness, output));
+					},
+					options: {
+						persistentOutput: Boolean(loudness),
 					},
 				},
 				{
 					title: 'Upload',
-					enabled: () => this.buckets,
+					enabled: () => this.storage,
 					task: async (context, task) => {
-						const params = {
-							Bucket: this.buckets.private.bucket,
-							Key: joinS3Path(this.buckets.private.outputPrefix, part.filename + '.mp4'),
-							Body: createReadStream(localLocation),
-						};
-
-						const upload = new Upload({
-							client: this.s3,
-							...getUploadOptions(params, this.outputBase),
+						const key = joinS3Path(this.storage.private.outputPrefix, part.filename + '.mp4');
+						await this.uploadFile(task, {
+							target: this.storage.private,
+							key,
+							file: localLocation,
+							fingerprint: this.state.get('cuts', part.filename).sha256,
 						});
 
-						updateTaskWithUpload(task, upload);
-
-						const {Bucket, Key, Location} = await upload.done();
-						task.output = Location;
-
-						const url = await getSignedUrl(this.signS3, new GetObjectCommand({
-							Bucket,
-							Key,
-						}), {expiresIn: 7 * 24 * 60 * 60});
-						context.uploads.parts[part.index].location = url;
+						context.uploads.parts[part.index].location = await this.storage.private.getLink(key, {expiresIn: this.linkExpiry});
 					},
 				},
 			], {}, {
@@ -507,55 +931,310 @@ export default class EpisodeProcessor {
 		return tasks;
 	}
 
+	/**
+	 * Write subtitles of every part as srt and vtt, published files can mux them
+	 */
+	getSubtitleTasks(context) {
+		return context.parts.map(part => {
+			const files = [
+				[part.filename + '.srt', formatSrt(part.subtitles)],
+				[part.filename + '.vtt', formatVtt(part.subtitles)],
+			];
+
+			return {
+				title: `${part.filename}: ${part.subtitles.length} subtitles`,
+				enabled: () => part.subtitles.length > 0,
+				task: (_context, task) => task.newListr(files.map(([filename, contents]) => ({
+					title: filename,
+					task: async (context, task) => {
+						await writeFile(join(this.outputBase, filename), contents);
+
+						if (!this.storage) {
+							return;
+						}
+
+						const location = await this.uploadFile(task, {
+							target: this.storage.public,
+							key: joinS3Path(this.storage.public.outputPrefix, filename),
+							file: join(this.outputBase, filename),
+							fingerprint: sha256(contents),
+						});
+						context.uploads.parts.find(upload => upload.part === part).subtitles.push({
+							name: filename,
+							location,
+						});
+					},
+				})), {concurrent: true}),
+			};
+		});
+	}
+
+	/**
+	 * Encoding settings of part's cut, arguments depend on loudness measurement
+	 */
+	getCutSettings(context, part) {
+		const localLocation = join(this.outputBase, 'parts', part.filename + '.mp4');
+		const loudnessId = 'cut:' + part.filename;
+
+		return {
+			localLocation,
+			loudness: this.argv.partEncoding?.audio?.loudness,
+			loudnessId,
+			getLoudnessArgs: () => getPartLoudnessMeasureSettings(part, this.source, this.argv.partEncoding?.audio?.loudness, getSourceFormat(context.ffprobe)),
+			getArgs: () => getPartEncodingSettings(
+				part,
+				this.source,
+				localLocation,
+				{
+					...this.argv.partEncoding,
+					audio: {
+						...this.argv.partEncoding?.audio,
+						loudnorm: this.state.get('loudness', loudnessId),
+					},
+				},
+				this.hwEnc,
+				getSourceFormat(context.ffprobe),
+			),
+		};
+	}
+
+	/**
+	 * Encoding settings of part in published format, arguments depend on loudness measurement
+	 */
+	getOutputSettings(part, format) {
+		const partLocation = join(this.outputBase, 'parts', part.filename + '.mp4');
+		const filename = getFileName(part.filename, format);
+		const outputLocation = join(this.outputBase, filename);
+		const playlist = isPlaylistFormat(format);
+		const metadataLocation = join(this.outputBase, 'parts', filename + '.ffmetadata');
+		const {tags, cover} = getOutputMetadata({
+			metadata: this.argv.metadata,
+			format,
+			part,
+			outputBase: this.outputBase,
+			date: this.date,
+		});
+		// Metadata and chapters can't be embedded in playlists
+		const metadata = !playlist && (part.chapters.length > 0 || Object.keys(tags).length > 0)
+			? formatFFMetadata({tags, chapters: part.chapters})
+			: undefined;
+		const loudnessId = 'output:' + filename;
+		const subtitles = format?.subtitles && part.subtitles.length > 0 ? sha256(formatSrt(part.subtitles)) : undefined;
+
+		return {
+			filename,
+			outputLocation,
+			playlist,
+			metadataLocation,
+			metadata,
+			loudness: format?.audio?.loudness,
+			loudnessId,
+			getLoudnessArgs: () => getLoudnessMeasureSettings(['-i', partLocation], format?.audio?.loudness),
+			subtitles,
+			getArgs: () => getOutputEncodingSettings(format, partLocation, outputLocation, this.hwEnc, {
+				metadataFile: metadata && metadataLocation,
+				coverFile: cover,
+				subtitlesFile: subtitles && join(this.outputBase, part.filename + '.srt'),
+				loudnorm: this.state.get('loudness', loudnessId),
+			}),
+		};
+	}
+
 	getPublishedFiles(context) {
 		const tasks = [];
 
 		for (const part of context.parts) {
-			const partLocation = join(this.outputBase, 'parts', part.filename + '.mp4');
-
 			for (const [index, format] of this.formats.entries()) {
-				const filename = getFileName(part.filename, format);
-				const outputLocation = join(this.outputBase, filename);
-				const ffmpegQueue = this.ffmpegQueues[format?.type ?? 'video'];
+				const {filename, outputLocation, playlist, metadataLocation, metadata, loudness, loudnessId, getLoudnessArgs, subtitles, getArgs} = this.getOutputSettings(part, format);
+				const ffmpegQueue = this.ffmpegQueues[format?.type === 'audio' ? 'audio' : 'video'];
+				const progress = this.encodeProgress.outputs;
+				let reuse = false;
+
+				progress.add(outputLocation, part.duration);
+				if (loudness) {
+					progress.add(loudnessId, part.duration);
+				}
 
 				tasks.push(this.tasks.indent([
+					{
+						title: 'Verify previous encode',
+						enabled: () => this.reuse,
+						task: async (_context, task) => {
+							// Cut being re-encoded invalidates outputs made from it
+							const cut = this.state.get('cuts', part.filename);
+							const previous = this.state.get('outputs', filename);
+							reuse = cut?.sha256 === previous?.source
+								&& metadata === previous?.metadata
+								&& subtitles === previous?.subtitles
+								&& await this.state.isEncoded('outputs', filename, outputLocation, getArgs());
+							task.title = reuse ? 'Previous encode verified' : 'No usable encode from previous run';
+							if (reuse) {
+								progress.remove(outputLocation);
+								progress.remove(loudnessId);
+							}
+						},
+					},
 					{
 						title: 'Wait for encoder slot',
+						skip: () => reuse,
 						task: async () => {
 							await ffmpegQueue.wait();
 						},
 					},
+					this.measureLoudnessTask(
+						loudnessId,
+						loudness,
+						getLoudnessArgs,
+						ffmpegQueue,
+						() => reuse,
+						progress,
+					),
 					{
 						title: 'Encode cut',
+						skip: () => reuse && 'Using encode from previous run',
 						task: async (_context, task) => {
-							const args = getOutputEncodingSettings(format, partLocation, outputLocation, this.hwEnc);
+							const args = getArgs();
+							let output;
 							try {
-								await runFFmpeg(args, task);
+								if (metadata) {
+									await writeFile(metadataLocation, metadata);
+								}
+
+								if (playlist) {
+									// Segments of previous encode may not be overwritten
+									await rm(dirname(outputLocation), {recursive: true, force: true});
+									await mkdir(dirname(outputLocation));
+								}
+
+								output = await this.encode(args, task, progress, outputLocation);
 							} finally {
 								ffmpegQueue.done();
 							}
+
+							await this.state.setEncoded('outputs', filename, outputLocation, args, {
+								files: playlist ? await describeFolder(dirname(outputLocation)) : undefined,
+								source: this.state.get('cuts', part.filename).sha256,
+								metadata,
+								subtitles,
+								...this.getLoudnessResult(task, loudnessId, loudness, output),
+							});
+						},
+						options: {
+							persistentOutput: Boolean(loudness),
 						},
 					},
 					{
 						title: 'Upload',
-						enabled: () => this.buckets,
+						enabled: () => this.storage,
 						task: async (context, task) => {
-							const params = {
-								Bucket: this.buckets.public.bucket,
-								Key: joinS3Path(this.buckets.public.outputPrefix, filename),
-								Body: createReadStream(outputLocation),
-							};
+							const location = playlist
+								? await this.uploadPlaylist(task, {
+									key: joinS3Path(this.storage.public.outputPrefix, filename),
+									file: outputLocation,
+								})
+								: await this.uploadFile(task, {
+									target: this.storage.public,
+									key: joinS3Path(this.storage.public.outputPrefix, filename),
+									file: outputLocation,
+									fingerprint: this.state.get('outputs', filename).sha256,
+									contentType: getFormatMimeType(format),
+								});
+							context.uploads.parts[part.index].outputs[index].location = location;
+						},
+					},
+				], {}, {
+					title: filename,
+				}));
+			}
+		}
 
-							const upload = new Upload({
-								client: this.s3,
-								...getUploadOptions(params, this.outputBase, true),
-							});
+		return tasks;
+	}
+
+	getImageSettings(part) {
+		// Empty objects are dropped when the preset is loaded, true uses defaults
+		const [poster, waveform] = [this.argv.images.poster, this.argv.images.waveform].map(image => image === true ? {} : image);
+		const partLocation = join(this.outputBase, 'parts', part.filename + '.mp4');
+		const images = [];
+
+		if (poster) {
+			const at = (poster.at ?? 'auto') === 'auto' ? 'auto' : parseDuration(String(poster.at));
+			images.push({
+				type: 'poster',
+				filename: part.filename + (poster.suffix ?? '_poster') + '.' + (poster.format ?? 'jpg'),
+				ffmpegQueue: this.ffmpegQueues.video,
+				getArgs: output => getPosterSettings(partLocation, output, {...poster, at, duration: part.duration}),
+			});
+		}
+
+		if (waveform) {
+			images.push({
+				type: 'waveform',
+				filename: part.filename + (waveform.suffix ?? '_waveform') + '.png',
+				ffmpegQueue: this.ffmpegQueues.audio,
+				getArgs: output => getWaveformSettings(partLocation, output, waveform),
+			});
+		}
+
+		return images;
+	}
 
-							updateTaskWithUpload(task, upload);
+	getImages(context) {
+		const tasks = [];
+
+		for (const part of context.parts) {
+			for (const {type, filename, ffmpegQueue, getArgs} of this.getImageSettings(part)) {
+				const imageLocation = join(this.outputBase, filename);
+				const args = getArgs(imageLocation);
+				let reuse = false;
+
+				tasks.push(this.tasks.indent([
+					{
+						title: 'Verify previous render',
+						enabled: () => this.reuse,
+						task: async (_context, task) => {
+							const cut = this.state.get('cuts', part.filename);
+							reuse = cut?.sha256 === this.state.get('images', filename)?.source
+								&& await this.state.isEncoded('images', filename, imageLocation, args);
+							task.title = reuse ? 'Previous render verified' : 'No usable render from previous run';
+						},
+					},
+					{
+						title: 'Wait for encoder slot',
+						skip: () => reuse,
+						task: async () => {
+							await ffmpegQueue.wait();
+						},
+					},
+					{
+						title: `Render ${type}`,
+						skip: () => reuse && 'Using render from previous run',
+						task: async (_context, task) => {
+							try {
+								await runFFmpeg(args, task, {signal: this.abortController.signal});
+							} finally {
+								ffmpegQueue.done();
+							}
 
-							const {Location} = await upload.done();
-							task.output = Location;
-							context.uploads.parts[part.index].outputs[index].location = Location;
+							await this.state.setEncoded('images', filename, imageLocation, args, {
+								source: this.state.get('cuts', part.filename).sha256,
+							});
+						},
+					},
+					{
+						title: 'Upload',
+						enabled: () => this.storage,
+						task: async (context, task) => {
+							const location = await this.uploadFile(task, {
+								target: this.storage.public,
+								key: joinS3Path(this.storage.public.outputPrefix, filename),
+								file: imageLocation,
+								fingerprint: this.state.get('images', filename).sha256,
+							});
+							context.uploads.parts.find(upload => upload.part === part).images[type] = {
+								name: filename,
+								location,
+							};
 						},
 					},
 				], {}, {
@@ -567,137 +1246,536 @@ export default class EpisodeProcessor {
 		return tasks;
 	}
 
-	async resultToWebhook(context) {
-		if (!this.buckets) {
-			await this.postWebHook({
-				content: `:tada: Finished processing ${this.outputBase}
+	/**
+	 * Measuring pass of loudness normalization, runs in the encoder slot of the encode
+	 */
+	// eslint-disable-next-line max-params
+	measureLoudnessTask(id, loudness, getArgs, ffmpegQueue, isReused, progress) {
+		return {
+			title: 'Measure loudness',
+			enabled: () => Boolean(loudness),
+			skip: () => isReused() && 'Using measurement from previous run',
+			task: async (_context, task) => {
+				try {
+					const output = await this.encode(getArgs(), task, progress, id);
+					const measured = parseLoudnormOutput(output);
+
+					await this.state.set('loudness', id, measured);
+					task.output = `Measured ${formatLoudness(measured)}`;
+				} catch (error) {
+					ffmpegQueue.done();
+					throw error;
+				}
+			},
+			options: {
+				persistentOutput: true,
+			},
+		};
+	}
 
-This run was local only.`,
-			});
-			return;
+	/**
+	 * Run planned encode of task group, progress is checked against its duration
+	 */
+	async encode(args, task, progress, id) {
+		const output = await runFFmpeg(args, task, {
+			signal: this.abortController.signal,
+			duration: progress.encodes.get(id)?.duration,
+			onProgress: ({time}) => progress.update(id, time),
+		});
+		progress.complete(id);
+
+		return output;
+	}
+
+	getLoudnessResult(task, id, loudness, output) {
+		if (!loudness) {
+			return {};
 		}
 
-		await this.postWebHook({
-			content: `:tada: Finished processing ${this.outputBase}
+		const result = {
+			measured: this.state.get('loudness', id),
+			achieved: parseLoudnormOutput(output),
+		};
+		task.output = formatLoudnessResult(result);
 
-Listing private files: (Signed url accessible for 7 days)`,
-			embeds: [
-				{
-					title: `Source file (${context.uploads.raw.filename})`,
-					url: context.uploads.raw.location,
-				},
-			],
-		});
-		await delay(500);
+		return {loudness: result};
+	}
 
-		// Parts
-		{
-			const embeds = context.uploads.parts.slice(0, 10).map(part => ({
-				title: part.part.filename,
-				url: part.location,
-			}));
+	getLoudnessSummary(context) {
+		if (!context.parts) {
+			return '';
+		}
 
-			await this.postWebHook({
-				embeds,
-			});
+		const lines = [];
+		for (const part of context.parts) {
+			const records = [
+				[part.filename + '.mp4', this.state.get('cuts', part.filename)],
+				...this.formats.map(format => {
+					const filename = getFileName(part.filename, format);
+
+					return [filename, this.state.get('outputs', filename)];
+				}),
+			];
+
+			for (const [name, record] of records) {
+				if (record?.loudness) {
+					lines.push(`${name}: ${formatLoudnessResult(record.loudness)}`);
+				}
+			}
 		}
 
-		await delay(500);
+		return lines.join(EOL);
+	}
 
-		// Outputs
-		{
-			const embeds = context.uploads.parts.slice(0, 10).map(part => ({
-				title: part.part.filename,
-				fields: part.outputs.slice(0, 25).map(output => ({
-					name: output.name,
-					value: output.location,
+	getFeedTasks(context) {
+		const {feed} = this.argv;
+		const feedKey = joinS3Path(this.storage.public.prefix, feed.filename ?? 'feed.xml');
+		const feedLocation = join(this.outputBase, basename(feedKey));
+		const {part, outputs} = context.uploads.parts.find(({part}) => part.index === (feed.part ?? 0));
+		const output = outputs[feed.format ?? 0];
+		const outputLocation = join(this.outputBase, output.name);
+
+		return [
+			{
+				title: 'Analyse feed episode',
+				task: async context => {
+					const [probe, {size}] = await Promise.all([runFFprobe(outputLocation), stat(outputLocation)]);
+
+					context.feed = {
+						duration: Number.parseFloat(probe.format.duration),
+						size,
+					};
+				},
+			},
+			{
+				title: 'Download existing feed',
+				task: async (context, task) => {
+					context.feed.existing = await this.storage.public.read(feedKey);
+					if (context.feed.existing === undefined) {
+						task.title = 'No existing feed, creating new one';
+					}
+				},
+			},
+			{
+				title: 'Upload feed',
+				task: async (context, task) => {
+					const item = buildFeedItem({
+						item: feed.item,
+						values: getTemplateValues({part, outputBase: this.outputBase, date: this.date}),
+						url: output.location,
+						length: context.feed.size,
+						type: getFormatMimeType(this.formats[feed.format ?? 0]),
+						duration: context.feed.duration,
+						date: this.date,
+					});
+					const xml = mergeFeed(feed, item, context.feed.existing);
+					await writeFile(feedLocation, xml);
+
+					const location = await this.uploadFile(task, {
+						target: this.storage.public,
+						key: feedKey,
+						file: feedLocation,
+						fingerprint: sha256(xml),
+						contentType: 'application/rss+xml',
+						cacheControl: 'no-cache',
+					});
+					context.uploads.feed = location;
+				},
+			},
+		];
+	}
+
+	/**
+	 * Write manifest.json of published files, private variant adds source and cuts with signed links
+	 */
+	getManifestTasks() {
+		const variants = [
+			{filename: 'manifest.json', name: 'public'},
+			{filename: 'manifest.private.json', name: 'private'},
+		];
+
+		return [
+			{
+				title: 'Collect file details',
+				task: async context => {
+					context.manifest = await this.getManifest(context);
+				},
+			},
+			...variants.map(({filename, name}) => ({
+				title: filename,
+				enabled: context => Boolean(context.manifest?.[name]),
+				task: async (context, task) => {
+					const contents = JSON.stringify(context.manifest[name], undefined, '\t');
+					const location = join(this.outputBase, filename);
+					await writeFile(location, contents);
+
+					if (!this.storage) {
+						return;
+					}
+
+					await this.uploadFile(task, {
+						target: this.storage[name],
+						key: joinS3Path(this.storage[name].outputPrefix, filename),
+						file: location,
+						fingerprint: sha256(contents),
+						contentType: 'application/json',
+						cacheControl: 'no-cache',
+					});
+				},
+			})),
+		];
+	}
+
+	/**
+	 * Build public manifest and, if enabled, the private one
+	 *
+	 * @returns {Promise<{public: object, private?: object}>} Manifests
+	 */
+	async getManifest(context) {
+		const withPrivate = Boolean(this.storage && this.argv.manifest?.private);
+		const parts = await Promise.all(context.uploads.parts.map(async ({part, location, outputs, images, subtitles}) => {
+			const uploaded = [...outputs, ...Object.values(images), ...subtitles];
+			const files = [
+				...this.formats.map(format => ({
+					name: getFileName(part.filename, format),
+					type: 'output',
+					format: {...resolveFormat(format), mimeType: getFormatMimeType(format)},
+					record: this.state.get('outputs', getFileName(part.filename, format)),
 				})),
-			}));
+				...(this.argv.images ? this.getImageSettings(part).map(({type, filename}) => ({
+					name: filename,
+					type,
+					record: this.state.get('images', filename),
+				})) : []),
+				...(this.argv.subtitles && part.subtitles.length > 0 ? ['.srt', '.vtt'].map(extension => ({
+					name: part.filename + extension,
+					type: 'subtitles',
+					probe: false,
+				})) : []),
+			];
+
+			return {
+				part: {
+					index: part.index,
+					name: part.name,
+					filename: part.filename,
+					start: part.start,
+					end: part.end,
+					duration: part.duration,
+					intro: part.intro?.file,
+					outro: part.outro?.file,
+					chapters: part.chapters,
+					files: await Promise.all(files.map(file => this.getManifestFile({
+						...file,
+						target: 'public',
+						location: uploaded.find(({name}) => name === file.name)?.location,
+					}))),
+				},
+				cut: withPrivate ? await this.getManifestFile({
+					name: part.filename + '.mp4',
+					file: join(this.outputBase, 'parts', part.filename + '.mp4'),
+					type: 'cut',
+					record: this.state.get('cuts', part.filename),
+					target: 'private',
+					location,
+				}) : undefined,
+			};
+		}));
+
+		const manifest = {
+			outputBase: this.outputBase,
+			date: this.date,
+			tool: await getToolInfo(),
+			preset: getPresetValues(this.argv),
+			source: {
+				name: basename(this.source),
+				start: context.start,
+				end: context.end,
+				...formatProbe(context.ffprobe),
+			},
+			parts: parts.map(({part}) => part),
+			feed: context.uploads.feed,
+		};
 
-			await this.postWebHook({
-				content: 'Publically available files:',
-				embeds,
+		if (!withPrivate) {
+			return {public: buildManifest(manifest)};
+		}
+
+		const source = this.argv.upload.uploadRaw === false ? {} : {
+			key: joinS3Path(this.storage.private.outputPrefix, 'source', basename(this.source)),
+			url: context.uploads.raw.location,
+		};
+
+		return {
+			public: buildManifest(manifest),
+			private: buildManifest({
+				...manifest,
+				source: {...manifest.source, ...source},
+				parts: parts.map(({part, cut}) => ({...part, cut})),
+			}),
+		};
+	}
+
+	/**
+	 * Size, hash and ffprobe details of local file with its key and link in storage
+	 *
+	 * @returns {Promise<object>} File details
+	 */
+	async getManifestFile({name, file = join(this.outputBase, name), record, probe = true, target, location, ...info}) {
+		const [{size}, checksum, details] = await Promise.all([
+			stat(file),
+			record?.sha256 ?? hashFile(file),
+			probe ? runFFprobe(file) : undefined,
+		]);
+
+		return {
+			name,
+			...info,
+			size,
+			sha256: checksum,
+			...(details && formatProbe(details)),
+			key: this.storage ? joinS3Path(this.storage[target].outputPrefix, name) : undefined,
+			url: location,
+		};
+	}
+
+	/**
+	 * Upload playlist folder to public storage, master playlist last so it never points to missing segments
+	 *
+	 * @returns {Promise<string>} Master playlist location
+	 */
+	async uploadPlaylist(task, {key, file}) {
+		const folder = dirname(file);
+		const master = basename(file);
+		const files = (await readdir(folder)).filter(name => name !== master).sort();
+		const {title} = task;
+
+		const upload = async name => {
+			const location = join(folder, name);
+			const {size, mtimeMs} = await stat(location);
+
+			return this.uploadFile(task, {
+				target: this.storage.public,
+				key: joinS3Path(dirname(key), name),
+				file: location,
+				fingerprint: `${size}:${mtimeMs}`,
 			});
+		};
+
+		for (const [index, name] of files.entries()) {
+			task.title = `${title} (${index + 1}/${files.length})`;
+			// eslint-disable-next-line no-await-in-loop
+			await upload(name);
+		}
+
+		task.title = title;
+
+		return upload(master);
+	}
+
+	/**
+	 * Upload file to storage target, reusing upload from previous run if possible
+	 *
+	 * @returns {Promise<string>} Location of uploaded file
+	 */
+	async uploadFile(task, {target, key, file, fingerprint, contentType, cacheControl}) {
+		const id = joinS3Path(target.id, key);
+		const previous = this.state.get('uploads', id);
+
+		if (this.reuse && previous?.fingerprint === fingerprint && await target.size(key) === previous.size) {
+			task.title += ' (from previous run)';
+			task.output = previous.location;
+
+			return previous.location;
 		}
 
-		await delay(500);
+		// Target's own checksum is calculated in the same read as sha256
+		const targetChecksum = this.argv.upload.verify === false ? undefined : target.createChecksum();
+		const [{size}, checksum] = await Promise.all([stat(file), hashFile(file, 'sha256', targetChecksum ? [targetChecksum] : [])]);
+		const location = await this.uploadWithRetries(task, {
+			target,
+			key,
+			file,
+			size,
+			checksum,
+			targetChecksum: targetChecksum?.digest(),
+			options: {
+				contentType,
+				cacheControl,
+			},
+		});
+		task.output = location;
+
+		await this.state.set('uploads', id, {
+			target: target.id,
+			key,
+			size,
+			sha256: checksum,
+			fingerprint,
+			location,
+		});
 
-		await this.postWebHook(
-			':white_check_mark: Listing complete',
-			undefined,
-			true,
-		);
+		return location;
 	}
 
-	indentWithDiscordStatus(tasks, options, taskOptions) {
+	/**
+	 * Upload and verify file, failed or mismatching uploads are retried with backoff
+	 *
+	 * @returns {Promise<string>} Location of uploaded file
+	 */
+	async uploadWithRetries(task, {target, key, file, size, checksum, targetChecksum, options}) {
+		const {retries = 3, verify = true} = this.argv.upload;
+
+		for (let attempt = 0; ; attempt++) {
+			if (this.abortController.signal.aborted) {
+				throw new CancelledError(`Upload of ${key} cancelled`);
+			}
+
+			let error;
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				const location = await target.upload(key, file, {
+					...options,
+					sha256: checksum,
+					onProgress: getTaskProgress(task),
+					signal: this.abortController.signal,
+				});
+				// eslint-disable-next-line no-await-in-loop
+				const mismatch = verify && await target.verify(key, {file, size, sha256: checksum, checksum: targetChecksum});
+				if (!mismatch) {
+					return location;
+				}
+
+				error = new Error(`uploaded file doesn't match local file, ${mismatch}`);
+			} catch (uploadError) {
+				error = uploadError;
+			}
+
+			if (this.abortController.signal.aborted) {
+				throw new CancelledError(`Upload of ${key} cancelled`, {cause: error});
+			}
+
+			if (attempt >= retries) {
+				throw new UploadError(`Upload of ${key} to ${target.id} failed after ${attempt + 1} attempts: ${error.message}`, {cause: error});
+			}
+
+			task.output = `Attempt ${attempt + 1} failed (${error.message}), retrying`;
+			// eslint-disable-next-line no-await-in-loop
+			await delay(1000 * (2 ** attempt));
+		}
+	}
+
+	/**
+	 * Print text after tasks have finished, json logs get it as an event
+	 */
+	report(name, text) {
+		if (this.logFormat === 'json') {
+			writeLogEvent('json', {type: 'report', name, text});
+		} else {
+			console.log(EOL + text);
+		}
+	}
+
+	async notifyResult(context) {
+		await this.notifiers.emit('result', {
+			outputBase: this.outputBase,
+			source: this.storage ? {
+				name: context.uploads.raw.filename,
+				location: context.uploads.raw.location,
+			} : undefined,
+			parts: context.uploads.parts.map(part => ({
+				name: part.part.filename,
+				location: part.location,
+				files: [...part.outputs, ...Object.values(part.images), ...part.subtitles].map(({name, location}) => ({name, location})),
+				thumbnail: part.images.poster?.location,
+				image: part.images.waveform?.location,
+			})),
+			feed: context.uploads.feed,
+			loudness: this.getLoudnessSummary(context),
+			linkExpiry: formatExpiry(this.linkExpiry),
+		});
+	}
+
+	/**
+	 * Task group sending status updates, title shows combined ETA of its encodes when given progress
+	 */
+	indentWithStatus(tasks, options, {progress, ...taskOptions}) {
 		return {
 			...taskOptions,
 			task: (context, task) => {
-				// Generate discord updates
+				// Generate status updates
 				const innerTask = task.task;
-				let chain = Promise.resolve((...args) => this.postWebHook(...args));
+				const sendStatus = this.notifiers.createStatus();
 
-				const postStatusUpdate = () => {
-					chain = chain.then(async post => {
-						if (post) {
-							const status = [];
+				const updateTitle = () => {
+					const {percent, eta} = progress?.get() ?? {};
+					// Minutes are enough, title changes are logged and sent to notifiers
+					const title = innerTask.isPending() && eta !== undefined
+						? `${taskOptions.title}: ${percent.toFixed(0)}%, ETA ${eta < 60 ? 'under a minute' : `${Math.ceil(eta / 60)} min`}`
+						: taskOptions.title;
 
-							const logSubtasks = (task, depth = 0) => {
-								if (!task.isEnabled()) {
-									return;
-								}
-
-								let icon = ' ';
-
-								switch (true) {
-									case task.isPending():
-										icon = figures.pointer;
-										break;
-									case task.isCompleted():
-										icon = figures.tick;
-										break;
-									case task.hasFailed():
-										icon = figures.cross;
-										break;
-									default:
-										icon = ' ';
-								}
+					if (innerTask.title !== title) {
+						task.title = title;
+					}
+				};
 
-								status.push(('  ').repeat(depth) + icon + ' ' + task.title);
-								if (task.output && !task.isCompleted()) {
-									status.push(('  ').repeat(depth + 1) + task.output.slice(0, 100));
-								}
+				const getStatus = () => {
+					const lines = [];
 
-								if (task.hasSubtasks() && (!task.isCompleted() || depth === 0)) {
-									for (const childTask of task.subtasks) {
-										logSubtasks(childTask, depth + 1);
-									}
-								}
-							};
+					const logSubtasks = (task, depth = 0) => {
+						if (!task.isEnabled()) {
+							return;
+						}
 
-							logSubtasks(innerTask);
+						lines.push({
+							depth,
+							state: getTaskState(task),
+							title: task.title,
+							output: task.output && !task.isCompleted() ? task.output : undefined,
+						});
 
-							let icon = ':yellow_circle:';
-							if (innerTask.isCompleted()) {
-								icon = ':green_circle:';
-							} else if (innerTask.hasFailed()) {
-								icon = ':red_circle:';
+						if (task.hasSubtasks() && (!task.isCompleted() || depth === 0)) {
+							for (const childTask of task.subtasks) {
+								logSubtasks(childTask, depth + 1);
 							}
-
-							return post(
-								`${icon} ${innerTask.title}`,
-								status.join('\n').slice(0, 1900),
-							);
 						}
-					});
+					};
+
+					logSubtasks(innerTask);
+
+					return {
+						// Title changes with progress
+						id: taskOptions.title,
+						title: innerTask.title,
+						state: innerTask.isCompleted() || innerTask.hasFailed() ? getTaskState(innerTask) : 'pending',
+						lines,
+					};
+				};
+
+				const postStatusUpdate = () => {
+					const status = getStatus();
+					sendStatus(status);
+					this.events.emit('status', status);
 				};
 
 				const interval = setInterval(() => {
 					postStatusUpdate();
 				}, 15 * 1000);
+				// Listeners (dashboard) get updates every second
+				const eventInterval = setInterval(() => {
+					updateTitle();
+					if (this.events.listenerCount('status') > 0) {
+						this.events.emit('status', getStatus());
+					}
+				}, 1000);
+				// Title update and later events run this again, final status is sent only once
+				let finished = false;
 				innerTask.subscribe(() => {
-					if (!innerTask.isPending()) {
+					if (!finished && !innerTask.isPending()) {
+						finished = true;
 						clearInterval(interval);
+						clearInterval(eventInterval);
+						updateTitle();
 						postStatusUpdate();
 					}
 				});
@@ -707,46 +1785,4 @@ Listing private files: (Signed url accessible for 7 days)`,
 			},
 		};
 	}
-
-	// eslint-disable-next-line unicorn/no-useless-undefined
-	async postWebHook(message, log, ping = false, messageId = undefined) {
-		if (!this.argv.discord.webhook) {
-			return;
-		}
-
-		let json = message;
-		if (typeof message === 'string') {
-			let content = message;
-			if (log) {
-				// eslint-disable-next-line no-control-regex
-				content += '\n```\n' + log.replace(/\u001B\[\d+m/g, '') + '```';
-			}
-
-			if (ping && this.argv.discord.ping) {
-				content += `\n<@${this.argv.discord.ping}>`;
-			}
-
-			json = {content};
-		}
-
-		let url = this.argv.discord.webhook;
-		if (messageId) {
-			url += '/messages/' + messageId;
-		}
-
-		try {
-			const {body} = await got(url, {
-				method: messageId ? 'PATCH' : 'POST',
-				searchParams: {
-					wait: true,
-				},
-				json,
-				responseType: 'json',
-			});
-
-			return (message, log, ping) => this.postWebHook(message, log, ping, body.id);
-		} catch (error) {
-			this.webhookErrors.push(error);
-		}
-	}
 }
@@ -0,0 +1,142 @@
+import {EOL} from 'node:os';
+
+import {bold} from 'colorette';
+import Enquirer from 'enquirer';
+
+import {createStorage} from './storage/index.js';
+import {formatSize} from './utils.js';
+
+const TARGETS = ['private', 'public'];
+
+function summarize(files = []) {
+	const size = files.reduce((sum, file) => sum + file.size, 0); // eslint-disable-line unicorn/no-array-reduce
+
+	return `${files.length} files, ${formatSize(size)}`;
+}
+
+/**
+ * Group files in target by episode, which is the first "directory" under target prefix
+ *
+ * @returns {Promise<Map<string, Array<{key: string, size: number}>>>} Files by episode
+ */
+export async function getEpisodes(target) {
+	const base = target.prefix ? target.prefix.replace(/\/?$/, '/') : '';
+	const episodes = new Map();
+
+	for (const file of await target.list(base)) {
+		const [episode, ...path] = file.key.slice(base.length).split('/');
+		// Files next to episodes (feed)
+		if (path.length === 0) {
+			continue;
+		}
+
+		episodes.set(episode, [...episodes.get(episode) ?? [], file]);
+	}
+
+	// Targets with metadata (s3) tell apart folders that weren't uploaded by us
+	const uploaded = await Promise.all([...episodes].map(async ([episode, files]) => {
+		const details = await target.details(files[0].key);
+
+		return !('episode' in details) || details.episode === episode;
+	}));
+
+	return new Map([...episodes].filter((_, index) => uploaded[index]).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+async function withStorage(argv, callback) {
+	const storage = createStorage(argv.upload, argv.outputBase ?? '');
+
+	try {
+		return await callback(storage);
+	} finally {
+		await Promise.all(Object.values(storage).map(target => target.close()));
+	}
+}
+
+/**
+ * Print episodes found in private and public targets
+ */
+export async function listEpisodes(argv) {
+	await withStorage(argv, async storage => {
+		const [privateEpisodes, publicEpisodes] = await Promise.all(TARGETS.map(name => getEpisodes(storage[name])));
+		const names = [...new Set([...privateEpisodes.keys(), ...publicEpisodes.keys()])].sort((a, b) => a.localeCompare(b));
+
+		if (names.length === 0) {
+			console.log('No episodes found');
+			return;
+		}
+
+		const width = Math.max(...names.map(name => name.length), 'Episode'.length) + 2;
+		console.log([
+			bold('Episode'.padEnd(width) + 'Private'.padEnd(24) + 'Public'),
+			...names.map(name => name.padEnd(width)
+				+ (privateEpisodes.has(name) ? summarize(privateEpisodes.get(name)) : '-').padEnd(24)
+				+ (publicEpisodes.has(name) ? summarize(publicEpisodes.get(name)) : '-')),
+		].join(EOL));
+	});
+}
+
+/**
+ * Print every file of episode with details
+ */
+export async function showEpisode(argv) {
+	await withStorage(argv, async storage => {
+		for (const name of TARGETS) {
+			const target = storage[name];
+			// eslint-disable-next-line no-await-in-loop
+			const files = await Promise.all((await target.list(target.outputPrefix + '/')).map(async ({key}) => ({
+				key,
+				...await target.details(key),
+				location: target.isPublic ? await target.getLink(key) : undefined,
+			})));
+
+			console.log(bold(`${name[0].toUpperCase() + name.slice(1)} (${target.id}, ${target.outputPrefix}/): ${summarize(files)}`));
+			for (const file of files) {
+				console.log([
+					'  ' + file.key.slice(target.outputPrefix.length + 1),
+					formatSize(file.size),
+					file.contentType,
+					file.modified?.toISOString(),
+					file.sha256 && 'sha256:' + file.sha256,
+					file.location,
+				].filter(Boolean).join('  '));
+			}
+
+			console.log('');
+		}
+	});
+}
+
+/**
+ * Delete episode's files from private and/or public target after confirmation
+ */
+export async function deleteEpisode(argv) {
+	await withStorage(argv, async storage => {
+		const targets = argv.target ?? TARGETS;
+		const files = await Promise.all(targets.map(name => storage[name].list(storage[name].outputPrefix + '/')));
+
+		if (files.every(list => list.length === 0)) {
+			throw new Error(`No files found for ${argv.outputBase}`);
+		}
+
+		const summary = targets.map((name, index) => `${name}: ${summarize(files[index])} in ${storage[name].outputPrefix}/`).join(', ');
+		const {confirmed} = argv.force ? {confirmed: true} : await Enquirer.prompt({
+			type: 'confirm',
+			name: 'confirmed',
+			message: `Delete ${argv.outputBase} (${summary})`,
+		});
+
+		if (!confirmed) {
+			console.log('Nothing deleted');
+			return;
+		}
+
+		for (const [index, name] of targets.entries()) {
+			if (files[index].length > 0) {
+				// eslint-disable-next-line no-await-in-loop
+				await storage[name].deleteFolder(storage[name].outputPrefix);
+				console.log(`Deleted ${files[index].length} files from ${name}`);
+			}
+		}
+	});
+}
@@ -0,0 +1,52 @@
+/**
+ * Exit codes of failures, so scripts running unattended can tell them apart
+ * Anything else exits with 1
+ */
+export const EXIT_CODES = {
+	checklist: 2,
+	encode: 3,
+	upload: 4,
+};
+
+/**
+ * Pre-run checklist failed or the plan wasn't confirmed, nothing was encoded or uploaded
+ */
+export class ChecklistError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'ChecklistError';
+		this.exitCode = EXIT_CODES.checklist;
+	}
+}
+
+/**
+ * Running ffmpeg failed while encoding, measuring or rendering
+ */
+export class EncodeError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'EncodeError';
+		this.exitCode = EXIT_CODES.encode;
+	}
+}
+
+/**
+ * Upload failed after all retries
+ */
+export class UploadError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'UploadError';
+		this.exitCode = EXIT_CODES.upload;
+	}
+}
+
+/**
+ * Run was cancelled while processing
+ */
+export class CancelledError extends Error {
+	constructor(message, options) {
+		super(message, options);
+		this.name = 'CancelledError';
+	}
+}
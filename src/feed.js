@@ -0,0 +1,156 @@
+import {formatTemplate} from './utils.js';
+
+const ITEM_REGEX = /<item[\s>][\S\s]*?<\/item>/g;
+const GUID_REGEX = /<guid[^>]*>([\S\s]*?)<\/guid>/;
+
+export function escapeXml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+function element(name, value, indent) {
+	if (value === undefined || value === null || value === '') {
+		return [];
+	}
+
+	return [`${indent}<${name}>${escapeXml(value)}</${name}>`];
+}
+
+/**
+ * Format seconds as hh:mm:ss for itunes:duration
+ *
+ * @param {number} duration Duration in seconds
+ * @returns {string} Duration string
+ */
+function formatItunesDuration(duration) {
+	const total = Math.round(duration);
+
+	return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+		.map(value => value.toString().padStart(2, '0'))
+		.join(':');
+}
+
+/**
+ * Build channel header of the feed from preset settings
+ *
+ * @param {object} channel Feed preset section
+ * @returns {string[]} Lines of channel metadata
+ */
+function buildChannel(channel) {
+	const indent = '\t\t';
+	const lines = [
+		...element('title', channel.title, indent),
+		...element('link', channel.link, indent),
+		...element('description', channel.description, indent),
+		...element('language', channel.language, indent),
+		...element('copyright', channel.copyright, indent),
+		...element('itunes:author', channel.author, indent),
+		...element('itunes:summary', channel.description, indent),
+		...element('itunes:type', channel.type, indent),
+		`${indent}<itunes:explicit>${channel.explicit ? 'true' : 'false'}</itunes:explicit>`,
+	];
+
+	if (channel.url) {
+		lines.push(`${indent}<atom:link href="${escapeXml(channel.url)}" rel="self" type="application/rss+xml"/>`);
+	}
+
+	if (channel.image) {
+		lines.push(
+			`${indent}<itunes:image href="${escapeXml(channel.image)}"/>`,
+			`${indent}<image>`,
+			...element('url', channel.image, indent + '\t'),
+			...element('title', channel.title, indent + '\t'),
+			...element('link', channel.link, indent + '\t'),
+			`${indent}</image>`,
+		);
+	}
+
+	if (channel.category) {
+		lines.push(`${indent}<itunes:category text="${escapeXml(channel.category)}"/>`);
+	}
+
+	if (channel.owner) {
+		lines.push(
+			`${indent}<itunes:owner>`,
+			...element('itunes:name', channel.owner.name, indent + '\t'),
+			...element('itunes:email', channel.owner.email, indent + '\t'),
+			`${indent}</itunes:owner>`,
+		);
+	}
+
+	return lines;
+}
+
+/**
+ * Build feed item for episode
+ *
+ * @param {object} options
+ * @param {object} options.item Item templates (title, description, episode, season)
+ * @param {object} options.values Template values
+ * @param {string} options.url Enclosure url
+ * @param {number} options.length Enclosure size in bytes
+ * @param {string} options.type Enclosure mime type
+ * @param {number} options.duration Duration in seconds
+ * @param {Date} options.date Publish date
+ * @returns {{guid: string, xml: string}} Item
+ */
+export function buildFeedItem({item = {}, values, url, length, type, duration, date}) {
+	const indent = '\t\t\t';
+	const template = key => (item[key] === undefined || item[key] === null ? undefined : formatTemplate(item[key], values));
+	const guid = url;
+
+	const lines = [
+		'\t\t<item>',
+		...element('title', template('title') ?? values.outputBase, indent),
+		...element('description', template('description'), indent),
+		...element('itunes:summary', template('description'), indent),
+		...element('itunes:episode', template('episode'), indent),
+		...element('itunes:season', template('season'), indent),
+		`${indent}<guid isPermaLink="false">${escapeXml(guid)}</guid>`,
+		...element('pubDate', date.toUTCString(), indent),
+		`${indent}<enclosure url="${escapeXml(url)}" length="${length}" type="${escapeXml(type)}"/>`,
+		...element('itunes:duration', formatItunesDuration(duration), indent),
+		'\t\t</item>',
+	];
+
+	return {
+		guid,
+		xml: lines.join('\n'),
+	};
+}
+
+/**
+ * Build RSS feed with the new item and items from existing feed
+ *
+ * Channel metadata always comes from the preset, existing item with same guid is replaced
+ *
+ * @param {object} channel Feed preset section
+ * @param {{guid: string, xml: string}} item New item
+ * @param {string} [existing] Existing feed xml
+ * @returns {string} Feed xml
+ */
+export function mergeFeed(channel, item, existing = '') {
+	const existingItems = (existing.match(ITEM_REGEX) ?? [])
+		.filter(xml => {
+			const guid = GUID_REGEX.exec(xml)?.[1];
+
+			return guid === undefined || guid.trim() !== escapeXml(item.guid);
+		})
+		.map(xml => '\t\t' + xml.trim());
+
+	return [
+		'<?xml version="1.0" encoding="UTF-8"?>',
+		'<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">',
+		'\t<channel>',
+		...buildChannel(channel),
+		item.xml,
+		...existingItems,
+		'\t</channel>',
+		'</rss>',
+		'',
+	].join('\n');
+}
@@ -1,11 +1,36 @@
-import {spawn} from 'node:child_process';
+import {execFile, spawn} from 'node:child_process';
 import {EOL} from 'node:os';
+import {basename, dirname, join} from 'node:path';
+
+import {EncodeError} from './errors.js';
+import {AUDIO_CODECS, CONTAINERS, VIDEO_CODECS, resolveFormat} from './formats.js';
+import {formatDuration, parseDuration} from './utils.js';
 
 export const NEWLINE_REGEX = /\r\n|\r|\n/g;
 
-export function runFFmpeg(args, task) {
+const LOUDNESS_DEFAULTS = {
+	i: -16,
+	tp: -1.5,
+	lra: 11,
+};
+
+/**
+ * Run ffmpeg, showing its progress in task
+ *
+ * Progress is read from ffmpeg's machine readable -progress output, errors and other output from stderr
+ *
+ * @param {Array} args ffmpeg arguments
+ * @param {object} task listr task
+ * @param {object} [options]
+ * @param {function(string): void} [options.onLine] Called with every line of ffmpeg output
+ * @param {AbortSignal} [options.signal] Kills ffmpeg when aborted
+ * @param {number} [options.duration] Expected output duration in seconds, for percentage and ETA
+ * @param {function(object): void} [options.onProgress] Called with every progress update from getEncodeProgress
+ * @returns {Promise<string[]>} Last lines of output
+ */
+export function runFFmpeg(args, task, {onLine, signal, duration, onProgress} = {}) {
 	return new Promise((resolve, reject) => {
-		const ffmpeg = spawn('ffmpeg', args);
+		const ffmpeg = spawn('ffmpeg', ['-progress', 'pipe:1', '-nostats', ...args], {signal});
 
 		const output = [];
 		let current = '';
@@ -15,36 +40,140 @@ export function runFFmpeg(args, task) {
 
 			for (const [index, string_] of lines.entries()) {
 				if (index > 0) {
-					if (output.length > 1 && current.startsWith('frame=') && output[output.length - 1].startsWith('frame=')) {
-						output[output.length - 1] = current;
-					} else {
-						output.push(current);
-					}
-
+					onLine?.(current);
+					output.push(current);
 					current = '';
 				}
 
 				current += string_;
 			}
 
-			task.output = output[output.length - 1];
-
 			if (output.length > 100) {
 				output.splice(0, output.length - 100);
 			}
 		});
 
+		// Progress is written as key=value lines, each block ends with progress=continue or progress=end
+		let values = {};
+		let pending = '';
+		ffmpeg.stdout.on('data', data => {
+			const lines = (pending + data.toString()).split(NEWLINE_REGEX);
+			pending = lines.pop();
+
+			for (const line of lines) {
+				const [key, value] = line.split('=', 2).map(part => part.trim());
+				values[key] = value;
+
+				if (key === 'progress') {
+					const progress = getEncodeProgress(values, duration);
+					task.output = formatEncodeProgress(progress);
+					onProgress?.(progress);
+					values = {};
+				}
+			}
+		});
+
 		ffmpeg.on('close', code => {
+			if (current) {
+				onLine?.(current);
+				output.push(current);
+			}
+
 			task.output = output.join(EOL);
 			if (code > 0) {
-				reject(new Error(`ffmpeg exit with ${code}` + EOL + output.join(EOL)));
+				reject(new EncodeError(`ffmpeg exit with ${code}` + EOL + output.join(EOL)));
 			}
 
-			resolve();
+			resolve(output);
 		});
 
 		ffmpeg.on('error', error => {
-			reject(error);
+			reject(new EncodeError(`Couldn't run ffmpeg: ${error.message}`, {cause: error}));
+		});
+	});
+}
+
+/**
+ * Progress of encode from block of ffmpeg's -progress output
+ *
+ * ETA is calculated from encode speed, which ffmpeg averages over the whole encode
+ *
+ * @param {object} values Progress values (out_time_us, speed, progress...)
+ * @param {number} [duration] Expected output duration in seconds
+ * @returns {{time: number, duration?: number, percent?: number, speed?: number, eta?: number}} Progress, times in seconds
+ */
+export function getEncodeProgress(values, duration) {
+	// Time is negative or N/A until first frame is out
+	const time = Math.max(Number.parseInt(values.out_time_us, 10) / 1_000_000 || 0, 0);
+	const speed = Number.parseFloat(values.speed) || undefined;
+
+	if (!duration) {
+		return {time, speed};
+	}
+
+	const done = values.progress === 'end' ? duration : Math.min(time, duration);
+
+	return {
+		time: done,
+		duration,
+		percent: (done / duration) * 100,
+		speed,
+		eta: speed ? (duration - done) / speed : undefined,
+	};
+}
+
+function formatTime(seconds) {
+	return formatDuration(Math.round(seconds)).slice(0, -4);
+}
+
+/**
+ * Format encode progress for task output, "00:12:34 / 00:30:00 (42%), 2.1x, ETA 00:08:30"
+ */
+export function formatEncodeProgress({time, duration, percent, speed, eta}) {
+	return [
+		duration ? `${formatTime(time)} / ${formatTime(duration)} (${percent.toFixed(0)}%)` : formatTime(time),
+		speed ? `${speed}x` : undefined,
+		eta === undefined ? undefined : `ETA ${formatTime(eta)}`,
+	].filter(Boolean).join(', ');
+}
+
+/**
+ * Read encode progress back from task output written by runFFmpeg
+ *
+ * @param {string} output Task output
+ * @returns {{time: number, duration?: number, percent?: number, speed?: number, eta?: number}|undefined} Progress, undefined for other output
+ */
+export function parseEncodeProgress(output) {
+	const match = /^(\d{2,}:\d{2}:\d{2})(?: \/ (\d{2,}:\d{2}:\d{2}) \((\d+)%\))?(?:, ([\d.]+)x)?(?:, ETA (\d{2,}:\d{2}:\d{2}))?$/.exec(output);
+	if (!match) {
+		return;
+	}
+
+	const [, time, duration, percent, speed, eta] = match;
+
+	return {
+		time: parseDuration(time),
+		duration: duration && parseDuration(duration),
+		percent: percent && Number(percent),
+		speed: speed && Number(speed),
+		eta: eta && parseDuration(eta),
+	};
+}
+
+/**
+ * Analyse file with ffprobe
+ *
+ * @param {string} file File to analyse
+ * @returns {Promise<object>} Parsed ffprobe output (format and streams)
+ */
+export function runFFprobe(file) {
+	return new Promise((resolve, reject) => {
+		execFile('ffprobe', ['-hide_banner', '-print_format', 'json', '-show_format', '-show_streams', file], (error, stdout) => {
+			if (error) {
+				return reject(new Error(`Couldn't execute ${error.path}: ${error.code}`));
+			}
+
+			resolve(JSON.parse(stdout));
 		});
 	});
 }
@@ -53,47 +182,292 @@ function getHwAccelerationFlags(hwEnc) {
 	return hwEnc === 'nvidia' ? ['-hwaccel', 'cuda', '-hwaccel_output_format', 'cuda'] : ['-hwaccel', 'auto'];
 }
 
-function getEncodingVideoFlags(settings, hwEnc) {
-	const videoFlags = [
-		'-c:v',
-		hwEnc === 'nvidia' ? 'h264_nvenc' : 'libx264',
-		'-b:v',
-		settings.bitrate,
-		'-maxrate:v',
-		settings.maxrate,
-		'-bufsize:v',
-		settings.buffer,
-	];
+/**
+ * Escape file path for use as filter option in filtergraph
+ */
+function escapeFilterPath(path) {
+	const option = path.replace(/[':\\]/g, character => '\\' + character);
+
+	return option.replace(/[',;[\\\]]/g, character => '\\' + character);
+}
+
+function getVideoFilters(settings, hwEnc) {
 	const filters = [];
 
 	if (settings.scale) {
 		filters.push((hwEnc === 'nvidia' ? 'scale_cuda' : 'scale') + '=' + settings.scale);
 	}
 
+	if (settings.burnSubtitles) {
+		filters.push('subtitles=' + escapeFilterPath(settings.burnSubtitles));
+	}
+
+	return filters;
+}
+
+function getVideoEncoder(codec, hwEnc) {
+	return hwEnc === 'nvidia' && codec.nvidia ? codec.nvidia : codec.encoder;
+}
+
+function getEncodingVideoFlags(settings, hwEnc, stream = 'v', withFilters = true) {
+	const videoFlags = [
+		`-c:${stream}`,
+		getVideoEncoder(VIDEO_CODECS[settings.codec ?? 'h264'], hwEnc),
+		`-b:${stream}`,
+		settings.bitrate,
+		`-maxrate:${stream}`,
+		settings.maxrate,
+		`-bufsize:${stream}`,
+		settings.buffer,
+	];
+	const filters = withFilters ? getVideoFilters(settings, hwEnc) : [];
+
 	if (settings.fps) {
-		videoFlags.push('-r', settings.fps);
+		videoFlags.push(`-r:${stream}`, settings.fps);
 	}
 
 	if (filters.length > 0) {
-		videoFlags.push('-filter:v', filters.join(','));
+		videoFlags.push(`-filter:${stream}`, filters.join(','));
 	}
 
 	return videoFlags;
 }
 
-function getEncodingAudioFlags(settings) {
+/**
+ * Resolve loudness normalization target
+ *
+ * @param {boolean|object} loudness true for defaults or {i, tp, lra}
+ * @returns {{i: number, tp: number, lra: number}|undefined} Target, undefined if disabled
+ */
+export function getLoudnessTarget(loudness) {
+	if (!loudness) {
+		return;
+	}
+
+	return {
+		...LOUDNESS_DEFAULTS,
+		...(loudness === true ? {} : loudness),
+	};
+}
+
+function getLoudnormFilter(target, measured) {
+	let filter = `loudnorm=I=${target.i}:TP=${target.tp}:LRA=${target.lra}`;
+
+	if (measured) {
+		filter += `:measured_I=${measured.input_i}:measured_TP=${measured.input_tp}:measured_LRA=${measured.input_lra}`
+			+ `:measured_thresh=${measured.input_thresh}:offset=${measured.target_offset}:linear=true`;
+	}
+
+	return filter + ':print_format=json';
+}
+
+/**
+ * Parse loudnorm filter's json stats from ffmpeg output
+ *
+ * @param {string[]} lines ffmpeg output lines
+ * @returns {object} loudnorm stats (input_i, input_tp, output_i, output_tp...)
+ */
+export function parseLoudnormOutput(lines) {
+	let start = -1;
+	for (const [index, line] of lines.entries()) {
+		if (line.startsWith('[Parsed_loudnorm')) {
+			start = index;
+		}
+	}
+
+	const end = lines.findIndex((line, index) => index > start && line.trim() === '}');
+	if (start === -1 || end === -1) {
+		throw new EncodeError('Couldn\'t find loudnorm stats in ffmpeg output');
+	}
+
+	try {
+		return JSON.parse(lines.slice(start + 1, end + 1).join(EOL));
+	} catch (error) {
+		throw new EncodeError(`Couldn't parse loudnorm stats: ${error.message}`, {cause: error});
+	}
+}
+
+/**
+ * @param {object} stats loudnorm stats
+ * @param {'input'|'output'} type Measured or achieved values
+ * @returns {string} Formatted integrated loudness and true peak
+ */
+export function formatLoudness(stats, type = 'input') {
+	return `${stats[type + '_i']} LUFS, true peak ${stats[type + '_tp']} dBTP`;
+}
+
+/**
+ * Measuring pass for two-pass loudness normalization
+ *
+ * @param {Array} inputFlags Flags for selecting input
+ * @param {boolean|object} loudness Loudness target
+ * @returns {Array} ffmpeg arguments
+ */
+export function getLoudnessMeasureSettings(inputFlags, loudness) {
+	return [
+		'-hide_banner',
+		...inputFlags,
+		'-vn',
+		'-filter:a',
+		getLoudnormFilter(getLoudnessTarget(loudness)),
+		'-f',
+		'null',
+		'-',
+	];
+}
+
+function getAudioFilters(settings) {
+	const target = getLoudnessTarget(settings.loudness);
+
+	return target ? [getLoudnormFilter(target, settings.loudnorm)] : [];
+}
+
+function getEncodingAudioFlags(settings, withFilters = true) {
 	const audioFlags = [
 		'-c:a',
 		settings.codec,
-		'-b:a',
-		settings.bitrate,
 	];
 
+	// Lossless codecs have no bitrate
+	if (settings.bitrate) {
+		audioFlags.push('-b:a', settings.bitrate);
+	}
+
+	const filters = withFilters ? getAudioFilters(settings) : [];
+	if (filters.length > 0) {
+		audioFlags.push('-filter:a', filters.join(','));
+	}
+
+	if (getLoudnessTarget(settings.loudness)) {
+		// Loudnorm upsamples to 192kHz
+		audioFlags.push('-ar', settings.sampleRate ?? '48000');
+	}
+
 	return audioFlags;
 }
 
+/**
+ * Get format of the source for matching bumpers to it
+ *
+ * @param {object} probe ffprobe output with streams
+ * @returns {{width: number, height: number, fps: string, sampleRate: string, channelLayout: string}} Source format
+ */
+export function getSourceFormat(probe) {
+	const video = probe.streams?.find(stream => stream.codec_type === 'video' && !stream.disposition?.attached_pic);
+	const audio = probe.streams?.find(stream => stream.codec_type === 'audio');
+
+	return {
+		width: video?.width ?? 1920,
+		height: video?.height ?? 1080,
+		fps: video?.avg_frame_rate && video.avg_frame_rate !== '0/0' ? video.avg_frame_rate : '30',
+		sampleRate: audio?.sample_rate ?? '48000',
+		channelLayout: audio?.channel_layout ?? 'stereo',
+	};
+}
+
+/**
+ * Inputs of part with intro and/or outro
+ *
+ * @returns {{inputFlags: Array, segments: Array<{index: number, duration: number, hasVideo: boolean, hasAudio: boolean}>}} Input flags and segments in order
+ */
+function getBumperedInputs({start, end, intro, outro}, source) {
+	const inputFlags = [];
+	const segments = [];
+
+	const addInput = (flags, info) => {
+		segments.push({
+			...info,
+			index: segments.length,
+		});
+		inputFlags.push(...flags);
+	};
+
+	if (intro) {
+		addInput(['-i', intro.file], intro);
+	}
+
+	addInput(['-ss', start, '-t', end - start, '-i', source], {
+		duration: end - start,
+		hasVideo: true,
+		hasAudio: true,
+	});
+
+	if (outro) {
+		addInput(['-i', outro.file], outro);
+	}
+
+	return {inputFlags, segments};
+}
+
+/**
+ * Filtergraph concatenating intro, cut and outro, scaled and resampled to match the source
+ *
+ * @param {Array<{index: number, duration: number, hasVideo: boolean, hasAudio: boolean}>} segments Inputs in order
+ * @param {object} sourceFormat Source format from getSourceFormat
+ * @param {boolean} [withVideo] Concatenate video too, audio is enough for measuring loudness
+ * @returns {string} Filtergraph, outputs [v] and [a] or only [a] without video
+ */
+function getConcatFilter(segments, {width, height, fps, sampleRate, channelLayout}, withVideo = true) {
+	const filters = [];
+	const labels = [];
+
+	for (const [position, {index, duration, hasVideo, hasAudio}] of segments.entries()) {
+		const video = hasVideo
+			? `[${index}:v]scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2`
+			// Audio-only bumper gets a black screen
+			: `color=c=black:s=${width}x${height}:r=${fps}:d=${duration}`;
+		const audio = hasAudio
+			? `[${index}:a]aresample=${sampleRate}`
+			: `anullsrc=r=${sampleRate}:cl=${channelLayout},atrim=duration=${duration}`;
+
+		if (withVideo) {
+			filters.push(`${video},setsar=1,fps=${fps},format=yuv420p[v${position}]`);
+		}
+
+		filters.push(`${audio},aformat=sample_fmts=fltp:sample_rates=${sampleRate}:channel_layouts=${channelLayout}[a${position}]`);
+		labels.push(`${withVideo ? `[v${position}]` : ''}[a${position}]`);
+	}
+
+	filters.push(`${labels.join('')}concat=n=${segments.length}:v=${withVideo ? 1 : 0}:a=1${withVideo ? '[v]' : ''}[a]`);
+
+	return filters.join(';');
+}
+
+/**
+ * Measuring pass of part's loudness, intro and outro are measured together with the cut as they're encoded
+ *
+ * @param {object} part Part with start, end, intro and outro
+ * @param {string} source Source file
+ * @param {boolean|object} loudness Loudness target
+ * @param {object} sourceFormat Source format from getSourceFormat
+ * @returns {Array} ffmpeg arguments
+ */
+export function getPartLoudnessMeasureSettings({start, end, intro, outro}, source, loudness, sourceFormat = {}) {
+	if (!intro && !outro) {
+		return getLoudnessMeasureSettings(['-ss', start, '-i', source, '-to', end - start], loudness);
+	}
+
+	const {inputFlags, segments} = getBumperedInputs({start, end, intro, outro}, source);
+
+	return [
+		'-hide_banner',
+		...inputFlags,
+		'-filter_complex',
+		getConcatFilter(segments, sourceFormat, false) + `;[a]${getLoudnormFilter(getLoudnessTarget(loudness))}[aout]`,
+		'-map',
+		'[aout]',
+		'-f',
+		'null',
+		'-',
+	];
+}
+
 // eslint-disable-next-line max-params, unicorn/no-null
-export function getPartEncodingSettings({start, end}, source, output, partSettings = {}, hwEnc = null) {
+export function getPartEncodingSettings({start, end, intro, outro}, source, output, partSettings = {}, hwEnc = null, sourceFormat = {}) {
+	if (intro || outro) {
+		return getBumperedPartEncodingSettings({start, end, intro, outro}, source, output, partSettings, hwEnc, sourceFormat);
+	}
+
 	return [
 		'-hide_banner',
 		...getHwAccelerationFlags(hwEnc),
@@ -127,53 +501,230 @@ export function getPartEncodingSettings({start, end}, source, output, partSettin
 	];
 }
 
-export function getOutputEncodingSettings(outputSettings, inputFile, outputFile, hwEnc) {
+/**
+ * Escape value for ffmetadata file
+ *
+ * @param {string} value Value
+ * @returns {string} Escaped value
+ */
+function escapeFFMetadata(value) {
+	return String(value).replace(/[\n#;=\\]/g, character => '\\' + character);
+}
+
+/**
+ * Format ffmetadata file contents
+ *
+ * @param {object} metadata Metadata
+ * @param {object} metadata.tags Global tags (title, artist, album...)
+ * @param {Array<{start: number, end: number, title: string}>} metadata.chapters Chapters (in seconds)
+ * @returns {string} ffmetadata file contents
+ */
+export function formatFFMetadata({tags = {}, chapters = []}) {
+	const lines = [';FFMETADATA1'];
+
+	for (const [key, value] of Object.entries(tags)) {
+		lines.push(`${escapeFFMetadata(key)}=${escapeFFMetadata(value)}`);
+	}
+
+	for (const chapter of chapters) {
+		lines.push(
+			'[CHAPTER]',
+			'TIMEBASE=1/1000',
+			`START=${Math.round(chapter.start * 1000)}`,
+			`END=${Math.round(chapter.end * 1000)}`,
+			`title=${escapeFFMetadata(chapter.title)}`,
+		);
+	}
+
+	return lines.join('\n') + '\n';
+}
+
+// eslint-disable-next-line max-params
+function getBumperedPartEncodingSettings({start, end, intro, outro}, source, output, partSettings, hwEnc, sourceFormat) {
+	const {inputFlags, segments} = getBumperedInputs({start, end, intro, outro}, source);
+
+	const videoSettings = {
+		bitrate: '2500k',
+		maxrate: '3500k',
+		buffer: '8000k',
+		...(partSettings?.video ?? {}),
+	};
+	const audioSettings = {
+		codec: 'aac',
+		bitrate: '160k',
+		...(partSettings?.audio ?? {}),
+	};
+	// Filters run on cpu, so only encoding can be hardware accelerated
+	const videoFilters = getVideoFilters(videoSettings);
+	const audioFilters = getAudioFilters(audioSettings);
+
+	return [
+		'-hide_banner',
+		...inputFlags,
+		'-filter_complex',
+		[
+			getConcatFilter(segments, sourceFormat),
+			`[v]${videoFilters.length > 0 ? videoFilters.join(',') : 'null'}[vout]`,
+			`[a]${audioFilters.length > 0 ? audioFilters.join(',') : 'anull'}[aout]`,
+		].join(';'),
+		'-map',
+		'[vout]',
+		'-map',
+		'[aout]',
+		// Video
+		...getEncodingVideoFlags(videoSettings, hwEnc, 'v', false),
+		// Audio
+		...getEncodingAudioFlags(audioSettings, false),
+		// Container
+		'-movflags',
+		'+faststart',
+		// Output
+		output,
+	];
+}
+
+function getCodecFlags(flags, stream) {
+	return Object.entries(flags ?? {}).flatMap(([key, value]) => [`-${key}:${stream}`, value]);
+}
+
+function getContainerFlags(container) {
+	const containerFlags = [];
+
+	if (container.id3) {
+		// ID3v2.3 has the widest support for CHAP/CTOC frames
+		containerFlags.push('-id3v2_version', '3');
+	}
+
+	if (container.faststart) {
+		containerFlags.push('-movflags', '+faststart');
+	}
+
+	return containerFlags;
+}
+
+// eslint-disable-next-line max-params
+function getOutputVideoFlags(format, outputSettings, hwEnc, stream, burnSubtitles) {
+	const videoCodec = VIDEO_CODECS[format.videoCodec];
+	// Codecs without hardware encoder and burning subtitles are done in software
+	const codecHwEnc = videoCodec.nvidia && !burnSubtitles ? hwEnc : undefined;
+	const videoFlags = getEncodingVideoFlags({
+		bitrate: '1000k',
+		maxrate: '2000k',
+		buffer: '4000k',
+		scale: '1280:720',
+		...(outputSettings?.video ?? {}),
+		codec: format.videoCodec,
+		burnSubtitles,
+	}, codecHwEnc, stream);
+
+	if (!codecHwEnc) {
+		videoFlags.push(
+			`-pix_fmt:${stream}`,
+			'yuv420p',
+			...getCodecFlags(videoCodec.softwareFlags, stream),
+		);
+	}
+
+	videoFlags.push(...getCodecFlags(videoCodec.flags, stream));
+
+	return {
+		hardwareAccFlags: getHwAccelerationFlags(codecHwEnc),
+		videoFlags,
+	};
+}
+
+// eslint-disable-next-line max-params
+export function getOutputEncodingSettings(outputSettings, inputFile, outputFile, hwEnc, {metadataFile, coverFile, subtitlesFile, loudnorm} = {}) {
+	const format = resolveFormat(outputSettings);
+	if (format.type === 'hls') {
+		return getHlsEncodingSettings(outputSettings, inputFile, outputFile, hwEnc, {loudnorm});
+	}
+
+	const container = CONTAINERS[format.container];
+	const audioCodec = AUDIO_CODECS[format.audioCodec];
 	// eslint-disable-next-line unicorn/prevent-abbreviations
 	let hardwareAccFlags = [];
 	let videoFlags;
-	let audioFlags;
-	let containerFlags = [];
+	const inputFlags = [];
+	const mapFlags = [];
+	let coverIndex;
+	let subtitlesIndex;
 
-	if (outputSettings.type === 'audio') {
+	if (metadataFile) {
+		inputFlags.push('-i', metadataFile);
+		mapFlags.push(
+			'-map_metadata',
+			'1',
+			'-map_chapters',
+			'1',
+		);
+	}
+
+	// Cover art is dropped for containers that can't hold it
+	const withCover = coverFile && container.cover;
+	if (withCover) {
+		coverIndex = (inputFlags.length / 2) + 1;
+		inputFlags.push('-i', coverFile);
+	}
+
+	const softSubtitles = subtitlesFile && outputSettings.subtitles === 'soft';
+	if (softSubtitles) {
+		subtitlesIndex = (inputFlags.length / 2) + 1;
+		inputFlags.push('-i', subtitlesFile);
+	}
+
+	// Extra streams need everything mapped explicitly
+	const explicitMap = withCover || softSubtitles;
+
+	const audioFlags = getEncodingAudioFlags({
+		bitrate: audioCodec.bitrate,
+		...(outputSettings?.audio ?? {}),
+		codec: audioCodec.encoder,
+		loudnorm,
+	});
+
+	if (format.type === 'audio') {
 		videoFlags = ['-vn'];
-		audioFlags = getEncodingAudioFlags({
-			codec: 'libmp3lame',
-			bitrate: '128k',
-			...(outputSettings?.audio ?? {}),
-		});
+
+		if (explicitMap) {
+			mapFlags.push('-map', '0:a');
+		}
+
+		if (withCover) {
+			mapFlags.push('-map', `${coverIndex}:v`);
+			videoFlags = [
+				'-c:v',
+				'copy',
+				'-disposition:v',
+				'attached_pic',
+				'-metadata:s:v',
+				'comment=Cover (front)',
+			];
+		}
 	} else {
-		hardwareAccFlags = getHwAccelerationFlags(hwEnc);
-		audioFlags = getEncodingAudioFlags({
-			codec: 'aac',
-			bitrate: '160k',
-			...(outputSettings?.audio ?? {}),
-		});
-		containerFlags = ['-movflags', '+faststart'];
-		videoFlags = [
-			...getEncodingVideoFlags({
-				bitrate: '1000k',
-				maxrate: '2000k',
-				buffer: '4000k',
-				scale: '1280:720',
-				...(outputSettings?.video ?? {}),
-			}, hwEnc),
-		];
+		const burnSubtitles = subtitlesFile && outputSettings.subtitles === 'burn' ? subtitlesFile : undefined;
+		// With cover art the episode video has to be targeted specifically
+		const stream = withCover ? 'v:0' : 'v';
+		({hardwareAccFlags, videoFlags} = getOutputVideoFlags(format, outputSettings, hwEnc, stream, burnSubtitles));
+
+		if (explicitMap) {
+			mapFlags.push('-map', '0:v:0', '-map', '0:a');
+		}
 
-		if (!hwEnc) {
+		if (withCover) {
+			mapFlags.push('-map', `${coverIndex}:v`);
 			videoFlags.push(
-				'-pix_fmt',
-				'yuv420p',
-				'-preset',
-				'slow',
+				'-c:v:1',
+				'copy',
+				'-disposition:v:1',
+				'attached_pic',
 			);
 		}
+	}
 
-		videoFlags.push(
-			'-profile:v',
-			'high',
-			'-level:v',
-			'4.1',
-		);
+	if (softSubtitles) {
+		mapFlags.push('-map', `${subtitlesIndex}:s`);
+		videoFlags.push('-c:s', container.subtitles);
 	}
 
 	return [
@@ -182,14 +733,233 @@ export function getOutputEncodingSettings(outputSettings, inputFile, outputFile,
 		// Input file
 		'-i',
 		inputFile,
+		// Metadata, chapters, cover and subtitles
+		...inputFlags,
+		...mapFlags,
+		// Codec flags
+		...videoFlags,
+		...audioFlags,
+		...getContainerFlags(container),
+		outputFile,
+	];
+}
+
+const HLS_RENDITIONS = [
+	{height: 1080, bitrate: '5000k', maxrate: '5350k', buffer: '7500k', audioBitrate: '192k'},
+	{height: 720, bitrate: '2800k', maxrate: '2996k', buffer: '4200k', audioBitrate: '128k'},
+	{height: 480, bitrate: '1400k', maxrate: '1498k', buffer: '2100k', audioBitrate: '128k'},
+	{height: 360, bitrate: '800k', maxrate: '856k', buffer: '1200k', audioBitrate: '96k'},
+];
+
+/**
+ * Encode rendition ladder and segment it into HLS playlists
+ *
+ * Master playlist is written next to the rendition playlists, filters run on cpu so only encoding can be hardware accelerated
+ *
+ * @param {object} outputSettings Format settings
+ * @param {string} inputFile Part file
+ * @param {string} outputFile Master playlist
+ * @param {string} hwEnc Hardware encoder
+ * @param {object} options
+ * @param {object} options.loudnorm Loudness measurement
+ * @returns {Array} ffmpeg arguments
+ */
+// eslint-disable-next-line max-params
+export function getHlsEncodingSettings(outputSettings, inputFile, outputFile, hwEnc, {loudnorm} = {}) {
+	const format = resolveFormat(outputSettings);
+	const videoCodec = VIDEO_CODECS[format.videoCodec];
+	const renditions = outputSettings.renditions ?? HLS_RENDITIONS;
+	const segmentDuration = outputSettings.segmentDuration ?? 6;
+	const folder = dirname(outputFile);
+	const audioSettings = {
+		...(outputSettings?.audio ?? {}),
+		codec: AUDIO_CODECS[format.audioCodec].encoder,
+		loudnorm,
+	};
+	const audioFilters = getAudioFilters(audioSettings);
+
+	const filters = [
+		`[0:v]split=${renditions.length}${renditions.map((_rendition, index) => `[v${index}]`).join('')}`,
+		`[0:a]${audioFilters.length > 0 ? audioFilters.join(',') : 'anull'},asplit=${renditions.length}${renditions.map((_rendition, index) => `[a${index}]`).join('')}`,
+	];
+	const mapFlags = [];
+	const videoFlags = [];
+	const audioFlags = getEncodingAudioFlags({...audioSettings, bitrate: undefined}, false);
+	const streamMap = [];
+
+	for (const [index, rendition] of renditions.entries()) {
+		const stream = `v:${index}`;
+		const name = rendition.name ?? `${rendition.height}p`;
+
+		filters.push(`[v${index}]scale=-2:${rendition.height}[v${index}out]`);
+		mapFlags.push('-map', `[v${index}out]`, '-map', `[a${index}]`);
+		videoFlags.push(...getEncodingVideoFlags({
+			...(outputSettings?.video ?? {}),
+			...rendition,
+			codec: format.videoCodec,
+		}, hwEnc, stream, false));
+
+		if (!(hwEnc && videoCodec.nvidia)) {
+			videoFlags.push(
+				`-pix_fmt:${stream}`,
+				'yuv420p',
+				...getCodecFlags(videoCodec.softwareFlags, stream),
+			);
+		}
+
+		videoFlags.push(...getCodecFlags(videoCodec.flags, stream));
+		audioFlags.push(`-b:a:${index}`, rendition.audioBitrate ?? audioSettings.bitrate ?? '128k');
+		streamMap.push(`v:${index},a:${index},name:${name}`);
+	}
+
+	return [
+		'-hide_banner',
+		// Input file
+		'-i',
+		inputFile,
+		'-filter_complex',
+		filters.join(';'),
+		...mapFlags,
 		// Codec flags
 		...videoFlags,
+		// Keyframes on segment boundaries, so renditions can be switched
+		'-force_key_frames',
+		`expr:gte(t,n_forced*${segmentDuration})`,
 		...audioFlags,
-		...containerFlags,
+		// Container
+		'-f',
+		'hls',
+		'-hls_time',
+		segmentDuration,
+		'-hls_playlist_type',
+		'vod',
+		'-hls_flags',
+		'independent_segments',
+		'-hls_segment_filename',
+		join(folder, 'stream_%v_%03d.ts'),
+		'-master_pl_name',
+		basename(outputFile),
+		'-var_stream_map',
+		streamMap.join(' '),
+		join(folder, 'stream_%v.m3u8'),
+	];
+}
+
+/**
+ * Grab poster frame from part
+ *
+ * "auto" samples frames evenly over the part (at most 100 to keep memory in check) and picks the most representative one
+ *
+ * @param {string} inputFile Part file
+ * @param {string} outputFile Image file
+ * @param {object} settings
+ * @param {number|'auto'} settings.at Seconds from start of part or "auto"
+ * @param {number} settings.duration Part duration
+ * @param {string} settings.scale Image size in w:h format
+ * @returns {Array} ffmpeg arguments
+ */
+export function getPosterSettings(inputFile, outputFile, {at, duration, scale = '1280:-2'}) {
+	if (at === 'auto') {
+		const interval = Math.max(10, duration / 100);
+
+		return [
+			'-hide_banner',
+			'-i',
+			inputFile,
+			'-filter:v',
+			`fps=1/${interval},scale=${scale},thumbnail=${Math.ceil(duration / interval)}`,
+			'-frames:v',
+			'1',
+			'-q:v',
+			'2',
+			outputFile,
+		];
+	}
+
+	return [
+		'-hide_banner',
+		'-ss',
+		Math.min(at, Math.max(duration - 1, 0)),
+		'-i',
+		inputFile,
+		'-filter:v',
+		`scale=${scale}`,
+		'-frames:v',
+		'1',
+		'-q:v',
+		'2',
 		outputFile,
 	];
 }
 
+/**
+ * Render waveform image of part's audio
+ *
+ * @param {string} inputFile Part file
+ * @param {string} outputFile Image file
+ * @param {object} settings
+ * @param {string} settings.size Image size in wxh format
+ * @param {string} settings.colors Wave colors, separated by |
+ * @param {boolean} settings.splitChannels Draw each channel separately
+ * @returns {Array} ffmpeg arguments
+ */
+export function getWaveformSettings(inputFile, outputFile, {size = '1280x240', colors = '#ffffff', splitChannels = false}) {
+	return [
+		'-hide_banner',
+		'-i',
+		inputFile,
+		'-filter_complex',
+		`[0:a]showwavespic=s=${size}:colors=${colors}:split_channels=${splitChannels ? 1 : 0}`,
+		'-frames:v',
+		'1',
+		outputFile,
+	];
+}
+
+/**
+ * Format arguments as command line that can be pasted into shell
+ *
+ * @param {Array} args ffmpeg arguments
+ * @returns {string} Command line
+ */
+export function formatCommand(args) {
+	return ['ffmpeg', ...args]
+		.map(argument => String(argument))
+		.map(argument => /^[\w%+,./:=@-]+$/.test(argument) ? argument : `'${argument.replace(/'/g, '\'\\\'\'')}'`)
+		.join(' ');
+}
+
+function parseBitrate(bitrate) {
+	const match = /^([\d.]+)([Mk]?)$/.exec(String(bitrate));
+
+	return match ? Number.parseFloat(match[1]) * ({k: 1000, M: 1_000_000}[match[2]] ?? 1) : undefined;
+}
+
+/**
+ * Estimate output size from bitrates in ffmpeg arguments
+ *
+ * @param {Array} args ffmpeg arguments
+ * @param {number} duration Duration in seconds
+ * @returns {number|undefined} Size in bytes, undefined if an audio stream has no bitrate (lossless)
+ */
+export function estimateSize(args, duration) {
+	let bitrate = 0;
+	let audioBitrates = 0;
+
+	for (const [index, argument] of args.entries()) {
+		if (/^-b:[av](?::\d+)?$/.test(argument)) {
+			bitrate += parseBitrate(args[index + 1]) ?? 0;
+			audioBitrates += argument.startsWith('-b:a') ? 1 : 0;
+		}
+	}
+
+	if (args.includes('-c:a') && audioBitrates === 0) {
+		return;
+	}
+
+	return Math.round(bitrate * duration / 8);
+}
+
 export class FFMpegQueue {
 	constructor(parallel = 1) {
 		this.queue = [];
@@ -217,3 +987,63 @@ export class FFMpegQueue {
 		}
 	}
 }
+
+/**
+ * Combined progress of planned encodes in a task group
+ *
+ * Encodes run in parallel and wait for encoder slots, so ETA is based on the rate of the whole group
+ */
+export class EncodeProgress {
+	constructor() {
+		this.encodes = new Map();
+		this.started = undefined;
+	}
+
+	/**
+	 * @param {string} id Encode
+	 * @param {number} duration Output duration in seconds
+	 */
+	add(id, duration) {
+		this.encodes.set(id, {duration, time: 0});
+	}
+
+	/**
+	 * Encodes reused from previous run don't count
+	 */
+	remove(id) {
+		this.encodes.delete(id);
+	}
+
+	update(id, time) {
+		const encode = this.encodes.get(id);
+		if (encode) {
+			this.started ??= Date.now();
+			encode.time = Math.min(time, encode.duration);
+		}
+	}
+
+	complete(id) {
+		this.update(id, Number.POSITIVE_INFINITY);
+	}
+
+	/**
+	 * @returns {{time: number, duration: number, percent: number, eta?: number}} Encoded and total output duration, ETA in seconds
+	 */
+	get() {
+		let time = 0;
+		let duration = 0;
+		for (const encode of this.encodes.values()) {
+			time += encode.time;
+			duration += encode.duration;
+		}
+
+		const elapsed = (Date.now() - this.started) / 1000;
+
+		return {
+			time,
+			duration,
+			percent: duration > 0 ? (time / duration) * 100 : 100,
+			eta: time > 0 && elapsed > 0 ? elapsed * (duration - time) / time : undefined,
+		};
+	}
+}
@@ -0,0 +1,221 @@
+export const AUDIO_CODECS = {
+	mp3: {
+		encoder: 'libmp3lame',
+		bitrate: '128k',
+	},
+	aac: {
+		encoder: 'aac',
+		bitrate: '160k',
+	},
+	opus: {
+		encoder: 'libopus',
+		bitrate: '96k',
+	},
+	vorbis: {
+		encoder: 'libvorbis',
+		bitrate: '128k',
+	},
+	flac: {
+		encoder: 'flac',
+		lossless: true,
+	},
+};
+
+/**
+ * Video codecs, flags are passed per stream, softwareFlags only without hardware encoding
+ */
+export const VIDEO_CODECS = {
+	h264: {
+		encoder: 'libx264',
+		nvidia: 'h264_nvenc',
+		flags: {profile: 'high', level: '4.1'},
+		softwareFlags: {preset: 'slow'},
+	},
+	hevc: {
+		encoder: 'libx265',
+		nvidia: 'hevc_nvenc',
+		// Apple devices only play hvc1 tagged hevc
+		flags: {tag: 'hvc1'},
+		softwareFlags: {preset: 'slow'},
+	},
+	vp9: {
+		encoder: 'libvpx-vp9',
+		softwareFlags: {deadline: 'good', 'cpu-used': '2', 'row-mt': '1'},
+	},
+	av1: {
+		encoder: 'libaom-av1',
+		softwareFlags: {'cpu-used': '6', 'row-mt': '1'},
+	},
+};
+
+/**
+ * Containers and codecs they can hold
+ *
+ * - cover: supports embedded cover art
+ * - faststart: mp4 family, moov atom moved to the start for streaming
+ * - id3: mp3 tags
+ * - playlist: segmented output in folder, file is the master playlist
+ * - subtitles: codec for soft subtitle track
+ */
+export const CONTAINERS = {
+	mp4: {
+		extension: 'mp4',
+		mime: 'video/mp4',
+		video: ['h264', 'hevc', 'av1'],
+		audio: ['aac', 'mp3', 'opus', 'flac'],
+		subtitles: 'mov_text',
+		cover: true,
+		faststart: true,
+	},
+	webm: {
+		extension: 'webm',
+		mime: 'video/webm',
+		video: ['vp9', 'av1'],
+		audio: ['opus', 'vorbis'],
+		subtitles: 'webvtt',
+	},
+	mp3: {
+		extension: 'mp3',
+		mime: 'audio/mpeg',
+		audio: ['mp3'],
+		cover: true,
+		id3: true,
+	},
+	m4a: {
+		extension: 'm4a',
+		mime: 'audio/mp4',
+		audio: ['aac'],
+		subtitles: 'mov_text',
+		cover: true,
+		faststart: true,
+	},
+	ogg: {
+		extension: 'ogg',
+		mime: 'audio/ogg',
+		audio: ['opus', 'vorbis', 'flac'],
+	},
+	flac: {
+		extension: 'flac',
+		mime: 'audio/flac',
+		audio: ['flac'],
+		cover: true,
+	},
+	hls: {
+		extension: 'm3u8',
+		mime: 'application/vnd.apple.mpegurl',
+		video: ['h264', 'hevc'],
+		audio: ['aac'],
+		playlist: true,
+	},
+};
+
+const DEFAULTS = {
+	audio: {
+		container: 'mp3',
+		audio: 'mp3',
+	},
+	video: {
+		container: 'mp4',
+		video: 'h264',
+		audio: 'aac',
+	},
+	hls: {
+		container: 'hls',
+		video: 'h264',
+		audio: 'aac',
+	},
+};
+
+/**
+ * Find codec by name, ffmpeg encoder names are accepted for older presets
+ */
+function findCodec(codecs, name) {
+	if (codecs[name]) {
+		return name;
+	}
+
+	return Object.keys(codecs).find(key => codecs[key].encoder === name || codecs[key].nvidia === name);
+}
+
+function validateSubtitles(mode, type, containerName) {
+	if (!['soft', 'burn'].includes(mode)) {
+		throw new Error(`Unknown subtitles mode ${mode}, supported: soft, burn`);
+	}
+
+	if (mode === 'soft' && !CONTAINERS[containerName].subtitles) {
+		throw new Error(`Container ${containerName} can't hold subtitles`);
+	}
+
+	if (mode === 'burn' && type !== 'video') {
+		throw new Error(`Subtitles can only be burned into video, not ${type}`);
+	}
+}
+
+/**
+ * Resolve container and codecs of output format
+ *
+ * @param {object} format Format settings
+ * @returns {{type: string, container: string, audioCodec: string, videoCodec?: string}} Resolved format
+ */
+export function resolveFormat(format) {
+	const type = format?.type ?? 'video';
+	if (!DEFAULTS[type]) {
+		throw new Error(`Unknown format type ${type}`);
+	}
+
+	const containerName = format?.container ?? DEFAULTS[type].container;
+	const container = CONTAINERS[containerName];
+	if (!container) {
+		throw new Error(`Unknown container ${containerName}, supported: ${Object.keys(CONTAINERS).join(', ')}`);
+	}
+
+	if (Boolean(container.playlist) !== (type === 'hls')) {
+		throw new Error(`Container ${containerName} can't be used for ${type}`);
+	}
+
+	if (format?.subtitles) {
+		validateSubtitles(format.subtitles, type, containerName);
+	}
+
+	const audioName = format?.audio?.codec ?? (format?.container ? container.audio[0] : DEFAULTS[type].audio);
+	const audioCodec = findCodec(AUDIO_CODECS, audioName);
+	if (!audioCodec) {
+		throw new Error(`Unknown audio codec ${audioName}, supported: ${Object.keys(AUDIO_CODECS).join(', ')}`);
+	}
+
+	if (!container.audio.includes(audioCodec)) {
+		throw new Error(`Audio codec ${audioCodec} can't be used in ${containerName}, supported: ${container.audio.join(', ')}`);
+	}
+
+	if (type === 'audio') {
+		return {type, container: containerName, audioCodec};
+	}
+
+	if (!container.video) {
+		throw new Error(`Container ${containerName} can't hold video`);
+	}
+
+	const videoName = format?.video?.codec ?? (format?.container ? container.video[0] : DEFAULTS[type].video);
+	const videoCodec = findCodec(VIDEO_CODECS, videoName);
+	if (!videoCodec) {
+		throw new Error(`Unknown video codec ${videoName}, supported: ${Object.keys(VIDEO_CODECS).join(', ')}`);
+	}
+
+	if (!container.video.includes(videoCodec)) {
+		throw new Error(`Video codec ${videoCodec} can't be used in ${containerName}, supported: ${container.video.join(', ')}`);
+	}
+
+	return {type, container: containerName, audioCodec, videoCodec};
+}
+
+export function getFormatExtension(format) {
+	return CONTAINERS[resolveFormat(format).container].extension;
+}
+
+export function getFormatMimeType(format) {
+	return CONTAINERS[resolveFormat(format).container].mime;
+}
+
+export function isPlaylistFormat(format) {
+	return Boolean(CONTAINERS[resolveFormat(format).container].playlist);
+}
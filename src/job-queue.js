@@ -0,0 +1,97 @@
+import {EventEmitter} from 'node:events';
+
+/**
+ * Runs jobs one after another, episodes are never processed in parallel
+ *
+ * Events: added, started and finished with the job
+ */
+export default class JobQueue extends EventEmitter {
+	constructor() {
+		super();
+
+		this.jobs = [];
+		this.runners = new Map();
+		this.running = undefined;
+		this.nextId = 1;
+	}
+
+	/**
+	 * Queue job
+	 *
+	 * @param {object} job
+	 * @param {string} job.name Name shown in logs
+	 * @param {function(object, AbortSignal): Promise} job.run Runs the job, gets job info and signal aborted on cancel
+	 * @param {object} [job.info] Extra info listed with job
+	 * @returns {{id: number, name: string, status: 'queued'|'running'|'done'|'failed'|'cancelled', error?: string, created: Date, started?: Date, finished?: Date}} Job info
+	 */
+	add({name, run, ...info}) {
+		const job = {
+			id: this.nextId++,
+			name,
+			...info,
+			status: 'queued',
+			created: new Date(),
+		};
+
+		this.jobs.push(job);
+		this.runners.set(job.id, {run, abortController: new AbortController()});
+		this.emit('added', job);
+		this.next();
+
+		return job;
+	}
+
+	get(id) {
+		return this.jobs.find(job => job.id === id);
+	}
+
+	/**
+	 * Cancel queued or running job
+	 *
+	 * @returns {boolean} Job could be cancelled
+	 */
+	cancel(id) {
+		const job = this.get(id);
+		if (!job || !this.runners.has(id)) {
+			return false;
+		}
+
+		if (job.status === 'queued') {
+			job.status = 'cancelled';
+			job.finished = new Date();
+			this.runners.delete(id);
+			this.emit('finished', job);
+		} else {
+			this.runners.get(id).abortController.abort();
+		}
+
+		return true;
+	}
+
+	async next() {
+		const job = this.jobs.find(job => job.status === 'queued');
+		if (this.running || !job) {
+			return;
+		}
+
+		const {run, abortController} = this.runners.get(job.id);
+		this.running = job;
+		job.status = 'running';
+		job.started = new Date();
+		this.emit('started', job);
+
+		try {
+			await run(job, abortController.signal);
+			job.status = 'done';
+		} catch (error) {
+			job.status = abortController.signal.aborted ? 'cancelled' : 'failed';
+			job.error = error.message;
+		}
+
+		job.finished = new Date();
+		this.runners.delete(job.id);
+		this.running = undefined;
+		this.emit('finished', job);
+		this.next();
+	}
+}
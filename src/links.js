@@ -0,0 +1,103 @@
+import {EOL} from 'node:os';
+import {basename} from 'node:path';
+
+import {bold} from 'colorette';
+
+import {createNotifiers} from './notifiers/index.js';
+import {createStorage} from './storage/index.js';
+import {formatExpiry, parseExpiry} from './utils.js';
+
+/**
+ * List episode files in storage target with links
+ *
+ * @returns {Promise<Array<{name: string, size: number, location: string}>>} Files, names relative to episode prefix
+ */
+async function getTargetLinks(target, expiresIn) {
+	const files = await target.list(target.outputPrefix + '/');
+
+	return Promise.all(files.map(async ({key, size}) => ({
+		name: key.slice(target.outputPrefix.length + 1),
+		size,
+		location: await target.getLink(key, {expiresIn}),
+	})));
+}
+
+/**
+ * Group links into notifier result, public files go under the part with longest matching name
+ */
+export function getLinksResult(outputBase, privateFiles, publicFiles) {
+	const cuts = privateFiles.filter(({name}) => !name.includes('/') && name.endsWith('.mp4'));
+	const parts = cuts.map(cut => ({
+		name: basename(cut.name, '.mp4'),
+		location: cut.location,
+		files: [],
+	}));
+	const other = {name: 'Other files', files: []};
+
+	// Playlist segments would drown out everything else
+	for (const file of publicFiles.filter(({name}) => !name.includes('/') || basename(name) === 'master.m3u8')) {
+		const part = parts
+			.filter(part => file.name.startsWith(part.name))
+			.sort((a, b) => b.name.length - a.name.length)[0] ?? other;
+
+		part.files.push({name: file.name, location: file.location});
+		if (/_poster\.\w+$/.test(file.name)) {
+			part.thumbnail = file.location;
+		} else if (file.name.endsWith('_waveform.png')) {
+			part.image = file.location;
+		}
+	}
+
+	const source = privateFiles.find(({name}) => name.startsWith('source/'));
+
+	return {
+		outputBase,
+		source: {
+			name: source ? basename(source.name) : 'not uploaded',
+			location: source?.location,
+		},
+		parts: other.files.length > 0 ? [...parts, other] : parts,
+	};
+}
+
+/**
+ * Print fresh links to episode's private and public files, optionally reposting them to notifiers
+ */
+export async function printLinks(argv) {
+	const storage = createStorage(argv.upload, argv.outputBase);
+	const expiresIn = parseExpiry(argv.expires ?? argv.upload.linkExpiry ?? '7d');
+	storage.private.checkLinkExpiry(expiresIn);
+
+	try {
+		const [privateFiles, publicFiles] = await Promise.all([
+			getTargetLinks(storage.private, expiresIn),
+			getTargetLinks(storage.public, expiresIn),
+		]);
+
+		if (privateFiles.length === 0 && publicFiles.length === 0) {
+			throw new Error(`No files found for ${argv.outputBase}`);
+		}
+
+		console.log([
+			bold(`Private files (${storage.private.outputPrefix}/, links valid for ${formatExpiry(expiresIn)}):`),
+			...privateFiles.map(({name, location}) => `  ${name}  ${location}`),
+			'',
+			bold(`Public files (${storage.public.outputPrefix}/):`),
+			...publicFiles.map(({name, location}) => `  ${name}  ${location}`),
+		].join(EOL));
+
+		if (argv.notify) {
+			const notifiers = createNotifiers(argv);
+			await notifiers.emit('result', {
+				...getLinksResult(argv.outputBase, privateFiles, publicFiles),
+				linkExpiry: formatExpiry(expiresIn),
+			});
+
+			if (notifiers.errors.length > 0) {
+				throw notifiers.errors[0];
+			}
+		}
+	} finally {
+		await Promise.all(Object.values(storage).map(target => target.close()));
+	}
+}
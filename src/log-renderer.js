@@ -0,0 +1,175 @@
+import {EOL} from 'node:os';
+
+import {formatEncodeProgress, parseEncodeProgress} from './ffmpeg.js';
+import {parseTaskProgress} from './storage/index.js';
+import {formatSize} from './utils.js';
+
+const STATUSES = {
+	PENDING: 'started',
+	COMPLETED: 'completed',
+	FAILED: 'failed',
+	SKIPPED: 'skipped',
+	RETRY: 'retrying',
+	ROLLING_BACK: 'rolling back',
+	ROLLED_BACK: 'rolled back',
+};
+
+// Encodes and uploads report progress many times a second
+const PROGRESS_INTERVAL = 1000;
+
+function formatDetails({type, duration, message, title, error, ffmpeg, upload, output, text, exitCode}) {
+	switch (type) {
+		case 'task':
+			return [duration === undefined ? '' : `${(duration / 1000).toFixed(1)}s`, message].filter(Boolean).join(', ');
+		case 'title':
+			return title;
+		case 'error':
+			return error;
+		case 'progress':
+			return ffmpeg
+				? formatEncodeProgress(ffmpeg)
+				: `${formatSize(upload.loaded)} / ${formatSize(upload.total)} (${((upload.loaded / upload.total) * 100).toFixed(0)}%)`;
+		case 'output':
+		case 'report':
+			return EOL + String(output ?? text).split(/\r?\n/).map(line => '    ' + line).join(EOL);
+		case 'end':
+			return error ? `${error} (exit code ${exitCode})` : '';
+		default:
+			return message ?? '';
+	}
+}
+
+/**
+ * Write log event as json line or plain text
+ *
+ * @param {'json'|'plain'} format Log format
+ * @param {object} event Event with type, task path and details
+ */
+export function writeLogEvent(format, event) {
+	const entry = {time: new Date().toISOString(), ...event};
+
+	if (format === 'json') {
+		process.stdout.write(JSON.stringify(entry) + EOL);
+		return;
+	}
+
+	const path = (entry.path ?? []).join(' > ');
+	const details = formatDetails(entry);
+	process.stdout.write(`${entry.time} [${entry.status ?? entry.type}]`
+		+ (path ? ' ' + path : '')
+		+ (details ? (path ? ': ' : ' ') + details : '')
+		+ EOL);
+}
+
+/**
+ * Listr2 renderer for unattended runs, writes one event per task state change, title change, output and progress
+ *
+ * Options:
+ * - format: "plain" | "json"
+ */
+export default class LogRenderer {
+	constructor(tasks, options) {
+		this.tasks = tasks;
+		this.options = {...LogRenderer.rendererOptions, ...options};
+		this.started = new WeakMap();
+		this.progressed = new WeakMap();
+	}
+
+	render() {
+		this.subscribe(this.tasks, []);
+	}
+
+	end(error) {
+		this.log(error
+			? {type: 'end', status: 'failed', error: error.message, exitCode: error.exitCode ?? 1}
+			: {type: 'end', status: 'completed'});
+	}
+
+	log(event) {
+		writeLogEvent(this.options.format, event);
+	}
+
+	subscribe(tasks, parents) {
+		for (const task of tasks) {
+			task.subscribe(event => {
+				// Original titles, so path stays the same while progress is shown in titles
+				const path = [...parents, task].map(({initialTitle, title}) => initialTitle ?? title).filter(Boolean);
+
+				switch (event.type) {
+					case 'SUBTASK':
+						if (task.hasSubtasks()) {
+							this.subscribe(task.subtasks, [...parents, task]);
+						}
+
+						break;
+					case 'STATE':
+						if (task.hasTitle()) {
+							this.onState(task, path);
+						}
+
+						break;
+					case 'TITLE':
+						this.log({type: 'title', path, title: event.data});
+						break;
+					case 'DATA':
+						if (event.data) {
+							this.onOutput(task, path, String(event.data));
+						}
+
+						break;
+					case 'MESSAGE':
+						// Parents report errors of their subtasks again
+						if (event.data?.error && task.hasTitle() && !task.subtasks?.some(subtask => subtask.hasFailed())) {
+							this.log({type: 'error', path, error: event.data.error});
+						}
+
+						break;
+					default:
+				}
+			});
+		}
+	}
+
+	onState(task, path) {
+		const status = STATUSES[task.state];
+
+		if (status === 'started') {
+			this.started.set(task, Date.now());
+			this.log({type: 'task', path, status});
+			return;
+		}
+
+		this.log({
+			type: 'task',
+			path,
+			status,
+			duration: this.started.has(task) ? Date.now() - this.started.get(task) : undefined,
+			message: status === 'skipped' ? task.message.skip : undefined,
+		});
+	}
+
+	onOutput(task, path, output) {
+		const singleLine = !/[\n\r]/.test(output);
+		const ffmpeg = singleLine ? parseEncodeProgress(output) : undefined;
+		const upload = singleLine && !ffmpeg ? parseTaskProgress(output) : undefined;
+
+		if (!ffmpeg && !upload) {
+			this.log({type: 'output', path, output});
+			return;
+		}
+
+		const now = Date.now();
+		if (now - (this.progressed.get(task) ?? 0) < PROGRESS_INTERVAL) {
+			return;
+		}
+
+		this.progressed.set(task, now);
+		this.log({type: 'progress', path, ffmpeg, upload});
+	}
+}
+
+/** Can be used without a terminal */
+LogRenderer.nonTTY = true;
+LogRenderer.rendererOptions = {
+	format: 'plain',
+};
@@ -0,0 +1,83 @@
+import {readFile} from 'node:fs/promises';
+
+// Upload and notifier settings hold secrets, they're left out
+const PRESET_KEYS = ['hwEnc', 'parallel', 'partEncoding', 'formats', 'metadata', 'parts', 'images', 'feed'];
+
+function toNumber(value) {
+	const number = Number.parseFloat(value);
+
+	return Number.isNaN(number) ? undefined : number;
+}
+
+/**
+ * Tool name and version from package.json
+ *
+ * @returns {Promise<{name: string, version: string}>} Tool
+ */
+export async function getToolInfo() {
+	const {name, version} = JSON.parse(await readFile(new URL('../package.json', import.meta.url), 'utf-8'));
+
+	return {name, version};
+}
+
+/**
+ * Preset values used in the run, without upload and notifier settings
+ *
+ * @param {object} argv Arguments
+ * @returns {object} Preset values
+ */
+export function getPresetValues(argv) {
+	return Object.fromEntries(PRESET_KEYS
+		.filter(key => argv[key] !== undefined)
+		.map(key => [key, argv[key]]));
+}
+
+/**
+ * Pick durations and stream info from ffprobe output
+ *
+ * @param {object} probe ffprobe output
+ * @returns {{duration: number, bitRate: number, streams: Array<object>}} Probe summary
+ */
+export function formatProbe(probe) {
+	return {
+		duration: toNumber(probe.format?.duration),
+		bitRate: toNumber(probe.format?.bit_rate),
+		streams: (probe.streams ?? []).map(stream => ({
+			type: stream.codec_type,
+			codec: stream.codec_name,
+			bitRate: toNumber(stream.bit_rate),
+			width: stream.width,
+			height: stream.height,
+			frameRate: stream.codec_type === 'video' ? stream.avg_frame_rate : undefined,
+			sampleRate: toNumber(stream.sample_rate),
+			channels: stream.channels,
+			language: stream.tags?.language,
+		})),
+	};
+}
+
+/**
+ * Build manifest of the episode
+ *
+ * @param {object} episode
+ * @param {string} episode.outputBase Output base
+ * @param {Date} episode.date Run date
+ * @param {object} episode.tool Tool name and version
+ * @param {object} episode.preset Preset values
+ * @param {object} episode.source Source file
+ * @param {Array<object>} episode.parts Parts with their files
+ * @param {string} episode.feed Feed url
+ * @returns {object} Manifest
+ */
+export function buildManifest({outputBase, date, tool, preset, source, parts, feed}) {
+	return {
+		manifestVersion: 1,
+		episode: outputBase,
+		createdAt: date.toISOString(),
+		tool,
+		preset,
+		source,
+		parts,
+		feed,
+	};
+}
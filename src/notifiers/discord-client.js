@@ -0,0 +1,140 @@
+import got from 'got';
+
+import {delay} from '../utils.js';
+
+const MAX_RATE_LIMITS = 10;
+
+/**
+ * Discord webhook client
+ *
+ * Requests are sent one at a time, following rate limit headers and retrying 429s and transient failures.
+ * With thread options every message goes into the same thread.
+ */
+export default class DiscordClient {
+	/**
+	 * @param {object} options
+	 * @param {string} options.webhook Webhook url
+	 * @param {string} options.threadId Existing thread to post into
+	 * @param {string} options.threadName Create forum thread with this name on first message
+	 * @param {number} options.retries Retries for transient failures (default: 3)
+	 */
+	constructor({webhook, threadId, threadName, retries = 3}) {
+		this.webhook = webhook;
+		this.threadId = threadId;
+		this.threadName = threadName;
+		this.retries = retries;
+		this.queue = Promise.resolve();
+		this.resetAt = 0;
+	}
+
+	/**
+	 * Post message
+	 *
+	 * @param {object} json Message
+	 * @returns {Promise<object>} Created message
+	 */
+	post(json) {
+		return this.enqueue(() => this.request('POST', this.webhook, json));
+	}
+
+	/**
+	 * Edit previously posted message
+	 *
+	 * @param {string} id Message id
+	 * @param {object} json Message
+	 * @returns {Promise<object>} Edited message
+	 */
+	edit(id, json) {
+		return this.enqueue(() => this.request('PATCH', `${this.webhook}/messages/${id}`, json));
+	}
+
+	enqueue(send) {
+		const result = this.queue.then(send);
+		// Failed message shouldn't block the ones after it
+		this.queue = result.catch(() => {});
+
+		return result;
+	}
+
+	async request(method, url, json) {
+		// First message creates the thread
+		const createThread = method === 'POST' && !this.threadId && this.threadName;
+		const searchParams = {wait: true};
+		if (this.threadId) {
+			searchParams.thread_id = this.threadId; // eslint-disable-line camelcase
+		}
+
+		let failures = 0;
+		let rateLimits = 0;
+		const retry = async error => {
+			if (failures >= this.retries) {
+				throw error;
+			}
+
+			await delay(1000 * (2 ** failures));
+			failures++;
+		};
+
+		for (;;) {
+			// eslint-disable-next-line no-await-in-loop
+			await delay(Math.max(0, this.resetAt - Date.now()));
+
+			let response;
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				response = await got(url, {
+					method,
+					searchParams,
+					json: createThread ? {...json, thread_name: this.threadName} : json, // eslint-disable-line camelcase
+					responseType: 'json',
+					retry: 0,
+					throwHttpErrors: false,
+				});
+			} catch (error) {
+				// Network failure
+				// eslint-disable-next-line no-await-in-loop
+				await retry(error);
+				continue;
+			}
+
+			this.updateRateLimit(response);
+			const error = new Error(`Discord webhook ${method} failed with ${response.statusCode}: ${JSON.stringify(response.body)}`);
+
+			if (response.statusCode === 429) {
+				if (++rateLimits > MAX_RATE_LIMITS) {
+					throw error;
+				}
+
+				const retryAfter = Number.parseFloat(response.body?.retry_after ?? response.headers['retry-after'] ?? 1);
+				this.resetAt = Math.max(this.resetAt, Date.now() + (retryAfter * 1000));
+				continue;
+			}
+
+			if (response.statusCode >= 500) {
+				// eslint-disable-next-line no-await-in-loop
+				await retry(error);
+				continue;
+			}
+
+			if (response.statusCode >= 400) {
+				throw error;
+			}
+
+			if (createThread) {
+				this.threadId = response.body.channel_id;
+			}
+
+			return response.body;
+		}
+	}
+
+	/**
+	 * Wait until bucket resets when it's used up
+	 */
+	updateRateLimit(response) {
+		if (response.headers['x-ratelimit-remaining'] === '0') {
+			const resetAfter = Number.parseFloat(response.headers['x-ratelimit-reset-after'] ?? 1);
+			this.resetAt = Math.max(this.resetAt, Date.now() + (resetAfter * 1000));
+		}
+	}
+}
@@ -0,0 +1,207 @@
+import {figures} from 'listr2';
+
+import {formatTemplate} from '../utils.js';
+import DiscordClient from './discord-client.js';
+import Notifier, {stripAnsi} from './notifier.js';
+
+const STATE_ICONS = {
+	pending: figures.pointer,
+	completed: figures.tick,
+	failed: figures.cross,
+};
+
+const STATUS_EMOJI = {
+	pending: ':yellow_circle:',
+	completed: ':green_circle:',
+	failed: ':red_circle:',
+};
+
+// Discord limits per message
+const MAX_EMBEDS = 10;
+const MAX_FIELDS = 25;
+const MAX_EMBED_CHARACTERS = 6000;
+const MAX_CONTENT = 2000;
+
+function chunk(items, size) {
+	const chunks = [];
+	for (let index = 0; index < items.length; index += size) {
+		chunks.push(items.slice(index, index + size));
+	}
+
+	return chunks;
+}
+
+function getEmbedSize(embed) {
+	let size = (embed.title ?? '').length;
+	for (const field of embed.fields ?? []) {
+		size += field.name.length + field.value.length;
+	}
+
+	return size;
+}
+
+/**
+ * Group embeds into messages that fit Discord's limits
+ *
+ * @param {Array<object>} embeds Embeds
+ * @returns {Array<Array<object>>} Embeds per message
+ */
+export function splitEmbeds(embeds) {
+	const messages = [];
+	let current = [];
+	let size = 0;
+
+	for (const embed of embeds) {
+		const embedSize = getEmbedSize(embed);
+		if (current.length > 0 && (current.length >= MAX_EMBEDS || size + embedSize > MAX_EMBED_CHARACTERS)) {
+			messages.push(current);
+			current = [];
+			size = 0;
+		}
+
+		current.push(embed);
+		size += embedSize;
+	}
+
+	if (current.length > 0) {
+		messages.push(current);
+	}
+
+	return messages;
+}
+
+/**
+ * Discord webhook
+ *
+ * Options:
+ * - webhook: Webhook url
+ * - ping: target to @mention (userid or &roleid)
+ */
+export default class DiscordNotifier extends Notifier {
+	constructor(options) {
+		super(options);
+		this.client = new DiscordClient({
+			webhook: options.webhook,
+			threadId: options.threadId,
+			retries: options.retries,
+		});
+	}
+
+	async start({outputBase, summary}) {
+		if (this.options.thread && !this.client.threadId) {
+			this.client.threadName = formatTemplate(typeof this.options.thread === 'string' ? this.options.thread : '{outputBase}', {outputBase});
+		}
+
+		await this.post(':star: Started processing', summary);
+	}
+
+	async status({title, state, lines}, previous) {
+		const status = [];
+		for (const line of lines) {
+			status.push(('  ').repeat(line.depth) + (STATE_ICONS[line.state] ?? ' ') + ' ' + line.title);
+			if (line.output) {
+				status.push(('  ').repeat(line.depth + 1) + line.output.slice(0, 100));
+			}
+		}
+
+		const post = previous ?? ((...args) => this.post(...args));
+
+		return post(`${STATUS_EMOJI[state]} ${title}`, status.join('\n').slice(0, 1900));
+	}
+
+	async error({message}) {
+		await this.post(`:x: ${message}`, undefined, true);
+	}
+
+	async result({outputBase, source, parts, feed, loudness, linkExpiry = '7 days'}) {
+		if (!source) {
+			await this.post(
+				`:tada: Finished processing ${outputBase}
+
+This run was local only.`,
+				loudness || undefined,
+			);
+			return;
+		}
+
+		await this.post({
+			content: `:tada: Finished processing ${outputBase}
+
+Listing private files: (Signed url accessible for ${linkExpiry})`,
+			embeds: [
+				{
+					title: `Source file (${source.name})`,
+					url: source.location,
+				},
+			],
+		});
+
+		// Parts
+		for (const embeds of splitEmbeds(parts.map(part => ({
+			title: part.name,
+			url: part.location,
+		})))) {
+			// eslint-disable-next-line no-await-in-loop
+			await this.post({embeds});
+		}
+
+		// Outputs
+		const outputEmbeds = parts.flatMap(part => {
+			const chunks = chunk(part.files.map(file => ({
+				name: file.name.slice(0, 256),
+				value: (file.location ?? '-').slice(0, 1024),
+			})), MAX_FIELDS);
+
+			return chunks.map((fields, index) => ({
+				title: part.name + (index > 0 ? ` (${index + 1}/${chunks.length})` : ''),
+				fields,
+				thumbnail: index === 0 && part.thumbnail ? {url: part.thumbnail} : undefined,
+				image: index === 0 && part.image ? {url: part.image} : undefined,
+			}));
+		});
+		for (const [index, embeds] of splitEmbeds(outputEmbeds).entries()) {
+			// eslint-disable-next-line no-await-in-loop
+			await this.post({
+				content: index === 0 ? 'Publically available files:' + (feed ? `\nFeed: ${feed}` : '') : undefined,
+				embeds,
+			});
+		}
+
+		if (loudness) {
+			await this.post(':loud_sound: Loudness', loudness);
+		}
+
+		await this.post(
+			':white_check_mark: Listing complete',
+			undefined,
+			true,
+		);
+	}
+
+	/**
+	 * Post message to webhook
+	 *
+	 * @returns {Promise<Function>} Function with the same arguments for editing the posted message
+	 */
+	// eslint-disable-next-line unicorn/no-useless-undefined
+	async post(message, log, ping = false, messageId = undefined) {
+		let json = message;
+		if (typeof message === 'string') {
+			let content = message;
+			if (log) {
+				// Leave room for the ping
+				content += '\n```\n' + stripAnsi(log).slice(0, MAX_CONTENT - content.length - 100) + '```';
+			}
+
+			if (ping && this.options.ping) {
+				content += `\n<@${this.options.ping}>`;
+			}
+
+			json = {content};
+		}
+
+		const {id} = messageId ? await this.client.edit(messageId, json) : await this.client.post(json);
+
+		return (message, log, ping) => this.post(message, log, ping, id);
+	}
+}
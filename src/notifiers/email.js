@@ -0,0 +1,103 @@
+import nodemailer from 'nodemailer';
+
+import Notifier, {stripAnsi} from './notifier.js';
+
+const STATE_ICONS = {
+	pending: '▶',
+	completed: '✔',
+	failed: '✖',
+};
+
+function escape(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function link(url, text) {
+	return url ? `<a href="${escape(url)}">${escape(text)}</a>` : escape(text);
+}
+
+/**
+ * Email over SMTP, by default only errors and results are sent
+ *
+ * Options:
+ * - smtp: nodemailer SMTP transport options ({host, port, secure, auth: {user, pass}})
+ * - from: Sender address
+ * - to: Recipient address(es)
+ */
+export default class EmailNotifier extends Notifier {
+	constructor(options) {
+		super(options);
+		this.transport = nodemailer.createTransport(options.smtp);
+	}
+
+	async status({title, state, lines}) {
+		// Only finished status, mail can't be edited
+		if (state === 'pending') {
+			return;
+		}
+
+		const tree = lines.map(line => '  '.repeat(line.depth) + (STATE_ICONS[line.state] ?? ' ') + ' ' + line.title);
+
+		await this.send(
+			`${title}: ${state}`,
+			tree.join('\n'),
+			`<pre>${escape(tree.join('\n'))}</pre>`,
+		);
+	}
+
+	async start({outputBase, summary}) {
+		const text = stripAnsi(summary ?? '');
+
+		await this.send(`Started processing ${outputBase}`, text, `<pre>${escape(text)}</pre>`);
+	}
+
+	async error({outputBase, message}) {
+		await this.send(`Processing ${outputBase} failed`, message, `<p>${escape(message)}</p>`);
+	}
+
+	async result({outputBase, source, parts, feed, loudness, linkExpiry = '7 days'}) {
+		const text = [];
+		let html = '';
+
+		if (source) {
+			text.push(`Private files (signed url accessible for ${linkExpiry}):`, `${source.name}: ${source.location}`, ...parts.map(part => `${part.name}: ${part.location}`), '');
+			html += `<p>Private files (signed url accessible for ${escape(linkExpiry)}):</p><ul>`
+				+ [`<li>${link(source.location, `Source file (${source.name})`)}</li>`, ...parts.map(part => `<li>${link(part.location, part.name)}</li>`)].join('')
+				+ '</ul>';
+		} else {
+			text.push('This run was local only.', '');
+			html += '<p>This run was local only.</p>';
+		}
+
+		for (const part of parts) {
+			text.push(part.name, ...part.files.map(file => `  ${file.name}: ${file.location ?? ''}`), '');
+			html += `<h3>${escape(part.name)}</h3>`
+				+ (part.thumbnail ? `<img src="${escape(part.thumbnail)}" alt="" width="320">` : '')
+				+ '<ul>' + part.files.map(file => `<li>${link(file.location, file.name)}</li>`).join('') + '</ul>';
+		}
+
+		if (feed) {
+			text.push(`Feed: ${feed}`, '');
+			html += `<p>Feed: ${link(feed, feed)}</p>`;
+		}
+
+		if (loudness) {
+			text.push('Loudness:', loudness);
+			html += `<p>Loudness:</p><pre>${escape(loudness)}</pre>`;
+		}
+
+		await this.send(`${outputBase} is ready`, text.join('\n'), html);
+	}
+
+	async send(subject, text, html) {
+		await this.transport.sendMail({
+			from: this.options.from,
+			to: this.options.to,
+			subject: `[pod-knight] ${subject}`,
+			text,
+			html,
+		});
+	}
+}
+
+EmailNotifier.events = ['error', 'result'];
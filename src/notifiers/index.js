@@ -0,0 +1,86 @@
+import DiscordNotifier from './discord.js';
+import EmailNotifier from './email.js';
+import MatrixNotifier from './matrix.js';
+import SlackNotifier from './slack.js';
+import WebhookNotifier from './webhook.js';
+
+const NOTIFIERS = {
+	discord: DiscordNotifier,
+	slack: SlackNotifier,
+	matrix: MatrixNotifier,
+	webhook: WebhookNotifier,
+	email: EmailNotifier,
+};
+
+/**
+ * Sends events to every configured notifier, failures are collected instead of stopping the run
+ */
+export class Notifiers {
+	constructor(notifiers) {
+		this.notifiers = notifiers;
+		this.errors = [];
+	}
+
+	/**
+	 * @param {'start'|'error'|'result'} event Event type
+	 * @param {object} data Event data
+	 */
+	async emit(event, data) {
+		await Promise.all(this.notifiers
+			.filter(notifier => notifier.accepts(event))
+			.map(async notifier => {
+				try {
+					await notifier[event](data);
+				} catch (error) {
+					this.errors.push(error);
+				}
+			}));
+	}
+
+	/**
+	 * Create status reporter, updates are sent in order and every notifier gets back the handle of its previous update
+	 *
+	 * @returns {function(object): Promise} Send status update
+	 */
+	createStatus() {
+		const notifiers = this.notifiers.filter(notifier => notifier.accepts('status'));
+		const handles = new Map();
+		let chain = Promise.resolve();
+
+		return data => {
+			chain = chain.then(() => Promise.all(notifiers.map(async notifier => {
+				try {
+					handles.set(notifier, await notifier.status(data, handles.get(notifier)));
+				} catch (error) {
+					this.errors.push(error);
+				}
+			})));
+
+			return chain;
+		};
+	}
+}
+
+/**
+ * Create notifiers from preset
+ *
+ * @param {object} options
+ * @param {Array<{type: string}>} options.notifiers Notifier configs
+ * @param {object} options.discord Discord webhook config from older presets
+ * @returns {Notifiers} Notifiers
+ */
+export function createNotifiers({notifiers = [], discord}) {
+	const configs = [...notifiers];
+	if (discord?.webhook) {
+		configs.push({type: 'discord', ...discord});
+	}
+
+	return new Notifiers(configs.map(config => {
+		const Type = NOTIFIERS[config.type];
+		if (!Type) {
+			throw new Error(`Unknown notifier ${config.type}, supported: ${Object.keys(NOTIFIERS).join(', ')}`);
+		}
+
+		return new Type(config);
+	}));
+}
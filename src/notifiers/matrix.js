@@ -0,0 +1,161 @@
+import got from 'got';
+
+import Notifier, {stripAnsi} from './notifier.js';
+
+const STATE_ICONS = {
+	pending: '▶️',
+	completed: '✅',
+	failed: '❌',
+};
+
+const STATUS_EMOJI = {
+	pending: '🟡',
+	completed: '🟢',
+	failed: '🔴',
+};
+
+function escape(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function link(url, text) {
+	return `<a href="${escape(url)}">${escape(text)}</a>`;
+}
+
+/**
+ * Render flat depth annotated lines as nested html list
+ */
+function toNestedList(lines) {
+	let html = '';
+	let depth = -1;
+
+	for (const line of lines) {
+		html += line.depth > depth
+			? '<ul>'.repeat(line.depth - depth)
+			: '</li>' + '</ul></li>'.repeat(depth - line.depth);
+
+		depth = line.depth;
+		html += `<li>${STATE_ICONS[line.state] ?? '▫️'} ${escape(line.title)}`;
+		if (line.output) {
+			html += `<br><code>${escape(line.output.slice(0, 100))}</code>`;
+		}
+	}
+
+	return html + '</li></ul>'.repeat(depth + 1);
+}
+
+/**
+ * Matrix room, status messages are edited in place
+ *
+ * Options:
+ * - homeserver: Homeserver url (https://matrix.org)
+ * - accessToken: Access token of the bot user
+ * - roomId: Room to post to (!abc:matrix.org)
+ * - mention: Text added to errors and results (user id to highlight)
+ */
+export default class MatrixNotifier extends Notifier {
+	constructor(options) {
+		super(options);
+		this.transaction = 0;
+	}
+
+	async start({outputBase, summary}) {
+		await this.send(
+			`⭐ Started processing ${outputBase}\n${stripAnsi(summary ?? '')}`,
+			`<p>⭐ Started processing <b>${escape(outputBase)}</b></p><pre><code>${escape(stripAnsi(summary ?? ''))}</code></pre>`,
+		);
+	}
+
+	async status({title, state, lines}, eventId) {
+		return this.send(
+			`${STATUS_EMOJI[state]} ${title}\n` + lines.map(line => '  '.repeat(line.depth) + (STATE_ICONS[line.state] ?? '▫️') + ' ' + line.title).join('\n'),
+			`<p>${STATUS_EMOJI[state]} <b>${escape(title)}</b></p>${toNestedList(lines)}`,
+			eventId,
+		);
+	}
+
+	async error({message}) {
+		await this.send(
+			`❌ ${message}${this.getMention()}`,
+			`<p>❌ ${escape(message)}${escape(this.getMention())}</p>`,
+		);
+	}
+
+	async result({outputBase, source, parts, feed, loudness, linkExpiry = '7 days'}) {
+		const text = [`🎉 Finished processing ${outputBase}`];
+		let html = `<p>🎉 Finished processing <b>${escape(outputBase)}</b></p>`;
+
+		if (source) {
+			text.push(`Private files (signed url accessible for ${linkExpiry}):`, `${source.name}: ${source.location}`, ...parts.map(part => `${part.name}: ${part.location}`));
+			html += `<p>Private files (signed url accessible for ${escape(linkExpiry)}):</p><ul>`
+				+ [`<li>${link(source.location, `Source file (${source.name})`)}</li>`, ...parts.map(part => `<li>${link(part.location, part.name)}</li>`)].join('')
+				+ '</ul>';
+		} else {
+			text.push('This run was local only.');
+		}
+
+		for (const part of parts) {
+			text.push(part.name, ...part.files.map(file => `  ${file.name}: ${file.location ?? ''}`));
+			html += `<h4>${escape(part.name)}</h4><ul>`
+				+ part.files.map(file => `<li>${file.location ? link(file.location, file.name) : escape(file.name)}</li>`).join('')
+				+ '</ul>';
+		}
+
+		if (feed) {
+			text.push(`Feed: ${feed}`);
+			html += `<p>📻 Feed: ${link(feed, feed)}</p>`;
+		}
+
+		if (loudness) {
+			text.push('Loudness:', loudness);
+			html += `<p>🔊 Loudness</p><pre><code>${escape(loudness)}</code></pre>`;
+		}
+
+		text.push(this.getMention());
+		html += escape(this.getMention());
+
+		await this.send(text.join('\n'), html);
+	}
+
+	getMention() {
+		return this.options.mention ? ' ' + this.options.mention : '';
+	}
+
+	/**
+	 * Send html message, replacing previous one if event id is given
+	 *
+	 * @returns {Promise<string>} Event id of the original message
+	 */
+	async send(body, formattedBody, replaces) {
+		const message = {
+			msgtype: 'm.notice',
+			body,
+			format: 'org.matrix.custom.html',
+			// eslint-disable-next-line camelcase
+			formatted_body: formattedBody,
+		};
+		const content = replaces ? {
+			...message,
+			body: '* ' + body,
+			'm.new_content': message,
+			'm.relates_to': {
+				// eslint-disable-next-line camelcase
+				rel_type: 'm.replace',
+				// eslint-disable-next-line camelcase
+				event_id: replaces,
+			},
+		} : message;
+
+		const transaction = `pod-knight-${Date.now()}-${this.transaction++}`;
+		const {body: response} = await got(`${this.options.homeserver.replace(/\/$/, '')}/_matrix/client/v3/rooms/${encodeURIComponent(this.options.roomId)}/send/m.room.message/${transaction}`, {
+			method: 'PUT',
+			headers: {
+				authorization: `Bearer ${this.options.accessToken}`,
+			},
+			json: content,
+			responseType: 'json',
+		});
+
+		return replaces ?? response.event_id;
+	}
+}
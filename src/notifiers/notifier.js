@@ -0,0 +1,46 @@
+/**
+ * Remove terminal colors from text
+ *
+ * @param {string} text Text
+ * @returns {string} Plain text
+ */
+export function stripAnsi(text) {
+	// eslint-disable-next-line no-control-regex
+	return text.replace(/\u001B\[\d+m/g, '');
+}
+
+/**
+ * Base for notifiers, implementations format events in their platform's native way
+ *
+ * Events:
+ * - start: {outputBase, summary}
+ * - status: {id, title, state, lines: [{depth, state, title, output}]}, id stays the same while title shows progress, state is pending, completed or failed
+ * - error: {outputBase, message}
+ * - result: {outputBase, source, parts: [{name, location, files, thumbnail, image}], feed, loudness, linkExpiry}
+ *   linkExpiry is how long private links work (7 days)
+ *
+ * Status gets the handle returned by its previous call, so platforms supporting edits can update the same message
+ */
+export default class Notifier {
+	constructor(options = {}) {
+		this.options = options;
+	}
+
+	/**
+	 * @param {string} event Event type
+	 * @returns {boolean} Event should be sent, configurable with events option
+	 */
+	accepts(event) {
+		return this.options.events?.includes(event) ?? this.constructor.events.includes(event);
+	}
+
+	async start() {}
+
+	async status() {}
+
+	async error() {}
+
+	async result() {}
+}
+
+Notifier.events = ['start', 'status', 'error', 'result'];
@@ -0,0 +1,122 @@
+import got from 'got';
+
+import Notifier, {stripAnsi} from './notifier.js';
+
+const STATE_EMOJI = {
+	pending: ':arrow_forward:',
+	completed: ':white_check_mark:',
+	failed: ':x:',
+};
+
+const STATUS_EMOJI = {
+	pending: ':large_yellow_circle:',
+	completed: ':large_green_circle:',
+	failed: ':red_circle:',
+};
+
+function escape(text) {
+	return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function link(url, text) {
+	return `<${url}|${escape(text)}>`;
+}
+
+function section(text) {
+	return {
+		type: 'section',
+		text: {
+			type: 'mrkdwn',
+			text: text.slice(0, 3000),
+		},
+	};
+}
+
+/**
+ * Slack incoming webhook
+ *
+ * Incoming webhooks can't edit messages, so status is only posted once finished
+ *
+ * Options:
+ * - webhook: Incoming webhook url
+ * - mention: Mention added to errors and results (<@U123>, <!channel>)
+ */
+export default class SlackNotifier extends Notifier {
+	async start({outputBase, summary}) {
+		await this.post(`:star: Started processing *${escape(outputBase)}*`, [
+			section('```' + escape(stripAnsi(summary ?? '')) + '```'),
+		]);
+	}
+
+	async status({title, state, lines}, previous) {
+		if (state === 'pending') {
+			return previous;
+		}
+
+		// Em spaces, regular ones get collapsed
+		const tree = lines.map(line => '\u2003'.repeat(line.depth) + (STATE_EMOJI[line.state] ?? ':white_small_square:') + ' ' + escape(line.title));
+
+		await this.post(`${STATUS_EMOJI[state]} *${escape(title)}*`, [
+			section(tree.join('\n')),
+		]);
+	}
+
+	async error({message}) {
+		await this.post(`:x: ${escape(message)}${this.getMention()}`);
+	}
+
+	async result({outputBase, source, parts, feed, loudness, linkExpiry = '7 days'}) {
+		const blocks = [];
+
+		if (source) {
+			blocks.push(section([
+				`*Private files* (signed url accessible for ${linkExpiry})`,
+				`• ${link(source.location, `Source file (${source.name})`)}`,
+				...parts.map(part => `• ${link(part.location, part.name)}`),
+			].join('\n')));
+		}
+
+		for (const part of parts.slice(0, 10)) {
+			const block = section([
+				`*${escape(part.name)}*`,
+				...part.files.map(file => `• ${file.location ? link(file.location, file.name) : escape(file.name)}`),
+			].join('\n'));
+
+			if (part.thumbnail) {
+				block.accessory = {
+					type: 'image',
+					// eslint-disable-next-line camelcase
+					image_url: part.thumbnail,
+					// eslint-disable-next-line camelcase
+					alt_text: part.name,
+				};
+			}
+
+			blocks.push(block);
+		}
+
+		if (feed) {
+			blocks.push(section(`:radio: Feed: ${link(feed, feed)}`));
+		}
+
+		if (loudness) {
+			blocks.push(section(':loud_sound: Loudness\n```' + escape(loudness) + '```'));
+		}
+
+		await this.post(`:tada: Finished processing *${escape(outputBase)}*${source ? '' : ', this run was local only'}${this.getMention()}`, blocks);
+	}
+
+	getMention() {
+		return this.options.mention ? ' ' + this.options.mention : '';
+	}
+
+	async post(text, blocks = []) {
+		await got(this.options.webhook, {
+			method: 'POST',
+			json: {
+				text,
+				blocks: [section(text), ...blocks],
+			},
+		});
+	}
+}
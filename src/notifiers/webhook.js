@@ -0,0 +1,42 @@
+import got from 'got';
+
+import Notifier, {stripAnsi} from './notifier.js';
+
+/**
+ * Generic JSON webhook, every event is posted as {event, ...data}
+ *
+ * Options:
+ * - url: Url to post to
+ * - headers: Extra request headers (authorization...)
+ */
+export default class WebhookNotifier extends Notifier {
+	async start(data) {
+		await this.post('start', {
+			...data,
+			summary: data.summary && stripAnsi(data.summary),
+		});
+	}
+
+	async status(data) {
+		await this.post('status', data);
+	}
+
+	async error(data) {
+		await this.post('error', data);
+	}
+
+	async result(data) {
+		await this.post('result', data);
+	}
+
+	async post(event, data) {
+		await got(this.options.url, {
+			method: 'POST',
+			headers: this.options.headers,
+			json: {
+				event,
+				...data,
+			},
+		});
+	}
+}
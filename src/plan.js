@@ -0,0 +1,120 @@
+import {getPartInfo, parseDuration} from './utils.js';
+
+/**
+ * Convert cut timestamps into segments to render
+ *
+ * "skip" between 2 timestamps skips the range between them
+ *
+ * @param {number} start Start of first part
+ * @param {string[]} cuts Cut timestamps and skip markers
+ * @param {number} end End of last part
+ * @returns {Array<{start: number, end: number}>} Segments
+ */
+export function cutsToSegments(start, cuts, end) {
+	const segments = [];
+	let partStart = start;
+	let skipNext = false;
+
+	for (const value of cuts) {
+		if (value === 'skip') {
+			skipNext = true;
+			continue;
+		}
+
+		if (!/^\d/.test(value)) {
+			throw new Error(`Invalid cut ${value}`);
+		}
+
+		const cut = parseDuration(String(value));
+		if (skipNext) {
+			skipNext = false;
+			partStart = cut;
+			continue;
+		}
+
+		segments.push({
+			start: partStart,
+			end: cut,
+		});
+		partStart = cut;
+	}
+
+	segments.push({
+		start: partStart,
+		end,
+	});
+
+	return segments;
+}
+
+/**
+ * Turn cuts file entries into segments to render
+ *
+ * Missing ends are filled from next entry's start (or end for last one), skipped entries are dropped
+ * and everything is clipped to start - end. Segments keep the index of their entry, so parts settings
+ * stay matched with entries when some are skipped
+ *
+ * @param {Array<{start: number, end?: number, name?: string, skip?: boolean, options?: object}>} entries Entries
+ * @param {number} start Start of first part
+ * @param {number} end End of last part
+ * @returns {Array<{start: number, end: number, entryIndex: number, name?: string, options?: object}>} Segments
+ */
+export function resolveSegments(entries, start, end) {
+	return entries
+		.map((entry, index) => ({
+			...entry,
+			end: entry.end ?? entries[index + 1]?.start ?? end,
+			entryIndex: index,
+		}))
+		.filter(entry => !entry.skip)
+		.map(({skip, ...entry}) => ({
+			...entry,
+			start: Math.max(entry.start, start),
+			end: Math.min(entry.end, end),
+		}))
+		.filter(entry => entry.end > entry.start);
+}
+
+/**
+ * Plan parts from segments
+ *
+ * Segments are matched with parts settings in order (by entryIndex when set), parts set to false are not rendered
+ *
+ * @param {object} options
+ * @param {Array<{start: number, end: number, entryIndex?: number, name?: string, options?: object}>} options.segments Segments
+ * @param {Array<object|false>} options.parts Parts settings from preset
+ * @param {string} options.outputBase Output base name
+ * @param {Array} options.chapters Normalized chapters
+ * @param {Array} options.subtitles Subtitle cues
+ * @param {object} options.bumpers Bumper info by filename
+ * @returns {Array<object>} Part infos
+ */
+export function planParts({segments, parts = [], outputBase, chapters, subtitles, bumpers}) {
+	const planned = [];
+
+	for (const [index, segment] of segments.entries()) {
+		const settings = parts[segment.entryIndex ?? index];
+		if (settings === false) {
+			continue;
+		}
+
+		planned.push({
+			...getPartInfo({
+				start: segment.start,
+				end: segment.end,
+				index,
+				partOptions: {
+					...settings,
+					...segment.options,
+				},
+				outputBase,
+				chapters,
+				subtitles,
+				bumpers,
+			}),
+			name: segment.name,
+		});
+	}
+
+	return planned;
+}
@@ -16,14 +16,32 @@
 	},
 
 	/**
-	 * S3/-compatible settings
+	 * Upload destinations
 	 * 
-	 * options: Configuration for s3 client
-	 * private: Settings for bucket where raws are uploaded to
-	 * public: Settings for bucket where outputs are uploaded to
-	 * - bucket: s3 bucket 
+	 * options: Configuration for s3 client, shared by s3 targets
+	 * private: Target where raws and cuts are uploaded to (shared with signed or direct links)
+	 * public: Target where outputs are uploaded to (must be publicly accessible)
+	 * - type: Storage type (default: s3)
 	 * - prefix: Base "directory" for uploaded files
-	 * uploadRaw: Upload raw footage to private bucket (default: true)
+	 *   s3: S3/-compatible bucket
+	 *   - bucket: s3 bucket
+	 *   - options: Own s3 client configuration instead of shared options
+	 *   local: Local or mounted (NFS, SMB...) directory
+	 *   - path: Directory files are copied into
+	 *   - url: Url the directory is served from (default: file:// links)
+	 *   sftp: Directory on SFTP server
+	 *   - host, port, username: Server and login
+	 *   - password / privateKey, passphrase: Password or path to private key file
+	 *   - path: Remote directory
+	 *   - url: Url the remote directory is served from, required for public target
+	 *   webdav: WebDAV server (Nextcloud, Apache mod_dav...)
+	 *   - url: Url of the directory, username, password: Login
+	 *   - publicUrl: Url the directory is served from without login, required for public target
+	 * uploadRaw: Upload raw footage to private target (default: true)
+	 * linkExpiry: How long links to private files work (seconds or 30m, 12h, 7d), at most 7d for s3 (default: 7d)
+	 * retries: Times a failed or mismatching upload is retried (default: 3)
+	 * verify: Check uploaded files match local ones, by ETag for s3, size for sftp and webdav (default: true)
+	 *   Disable for s3 buckets with KMS encryption as their ETags can't be checked
 	 * 
 	 * Replace object with false to disable uploading (only local processing)
 	 */
@@ -36,20 +54,27 @@
 			},
 		},
 		"private": {
+			"type": "s3",
 			"bucket": "",
 			"prefix": "",
 		},
 		"public": {
+			"type": "s3",
 			"bucket": "",
 			"prefix": "",
 		},
 		"uploadRaw": true,
+		"linkExpiry": "7d",
+		"retries": 3,
+		"verify": true,
 	},
 
 	/**
 	 * Part encoding settings
 	 *
 	 * - audio.bitrate: target audio bitrate (default: 160k)
+	 * - audio.loudness: Two-pass EBU R128 loudness normalization, true for defaults or {i, tp, lra}
+	 *   (default: false, defaults when enabled: i: -16 LUFS, tp: -1.5 dBTP, lra: 11)
 	 *
 	 * - video.bitrate: target video bitrate (default: 2500k)
 	 * - video.maxrate: maximum video bitrate (default: 3500k)
@@ -71,6 +96,8 @@
 	 * Options:
 	 * - prefix: (default: '')
 	 * - suffix: (default: '_{part#}')
+	 * - intro: Media file concatenated before the part (scaled and resampled to match source, can be audio-only)
+	 * - outro: Media file concatenated after the part
 	 */
 	"parts": [
 		{"suffix": "_pre"},
@@ -78,21 +105,64 @@
 		{"suffix": "_post"},
 	],
 
+	/**
+	 * Metadata tags and cover art for published files
+	 *
+	 * Any ffmpeg metadata key can be used (title, artist, album, album_artist, track, date, genre, comment...)
+	 * Placeholders: {outputBase}, {partFilename}, {partName} (from cuts file), {partIndex} (starting from 1), {date} (yyyy-mm-dd), {year}
+	 *
+	 * - cover: Cover art image (jpg or png) to embed (default: none)
+	 */
+	"metadata": {
+		"title": "{partFilename}",
+		"artist": "",
+		"album": "",
+		"track": "{partIndex}",
+		"date": "{date}",
+		"genre": "Podcast",
+		"cover": "",
+	},
+
 	/**
 	 * Public output formats for parts
 	 * 
 	 * Options:
-	 * - type: "video" | "audio"
+	 * - type: "video" | "audio" | "hls"
 	 * - prefix: (default: "")
 	 * - suffix: (default: "")
+	 * - container: "mp4" | "webm" | "mp3" | "m4a" | "ogg" | "flac" (default: mp3 for audio, mp4 for video)
+	 * - subtitles: "soft" to mux --subtitles as track (mp4, m4a, webm), "burn" to render into video (default: none)
 	 *
-	 * - audio.bitrate: target audio bitrate (default: 128k for audio, 160k for video)
+	 * - audio.codec: "mp3" | "aac" | "opus" | "vorbis" | "flac" (default: container's first codec)
+	 * - audio.bitrate: target audio bitrate (default: depends on codec, ignored for flac)
+	 * - audio.loudness: Two-pass EBU R128 loudness normalization, same as in partEncoding (default: false)
 	 *
+	 * - video.codec: "h264" | "hevc" | "vp9" | "av1" (default: container's first codec)
 	 * - video.bitrate: target video bitrate (default: 1000k)
 	 * - video.maxrate: maximum video bitrate (default: 2000k)
 	 * - video.buffer: bitrate buffer size (default: 4000k)
 	 * - video.scale: Video framesize, must be in w:h format (default: 1280:720)
 	 * - video.fps: Video fps (default: unchanged)
+	 *
+	 * - metadata: Overrides for metadata tags and cover art
+	 *
+	 * HLS options (type: "hls"), written to folder with master.m3u8:
+	 * - renditions: Array of {height, bitrate, maxrate, buffer, audioBitrate, name}
+	 *   (default: 1080p 5000k, 720p 2800k, 480p 1400k, 360p 800k)
+	 * - segmentDuration: Segment length in seconds (default: 6)
+	 * - video.codec: "h264" | "hevc", audio is always aac
+	 * Metadata, chapters and cover art are not embedded in HLS.
+	 *
+	 * Containers and codecs they can hold:
+	 * - mp4: h264, hevc, av1 with aac, mp3, opus, flac
+	 * - webm: vp9, av1 with opus, vorbis
+	 * - mp3: mp3
+	 * - m4a: aac
+	 * - ogg: opus, vorbis, flac
+	 * - flac: flac
+	 *
+	 * hevc and h264 use nvenc with hwEnc nvidia, vp9 and av1 and formats burning subtitles are always encoded in software.
+	 * Cover art is not embedded in webm and ogg.
 	 */
 	"formats": [
 		{"type": "video"},
@@ -100,12 +170,71 @@
 	],
 
 	/**
-	 * Discord integration
-	 * - webhook: Webhook url
-	 * - ping: target to @mention (userid or &roleid)
+	 * Images per part, saved next to outputs and uploaded to public storage
+	 *
+	 * - poster.at: Timestamp in part or "auto" for the most representative frame (default: auto)
+	 * - poster.scale: Image size in w:h format (default: 1280:-2)
+	 * - poster.format: "jpg" | "png" (default: jpg)
+	 * - poster.suffix: (default: "_poster")
+	 *
+	 * - waveform.size: Image size in wxh format (default: 1280x240)
+	 * - waveform.colors: Wave colors, one per channel separated by | (default: #ffffff)
+	 * - waveform.splitChannels: Draw channels separately (default: false)
+	 * - waveform.suffix: (default: "_waveform")
+	 *
+	 * Use true for poster or waveform with default settings ({} is dropped when the preset is loaded).
+	 * Replace poster or waveform with false to skip it, or the whole object to not generate images
 	 */
-	"discord": {
-		"webhook": "",
-		"ping": "",
+	"images": {
+		"poster": {"at": "auto"},
+		"waveform": false,
 	},
+
+	/**
+	 * Podcast RSS feed (with itunes tags) in public storage, updated after upload
+	 *
+	 * - filename: Feed file, relative to public prefix (default: feed.xml)
+	 * - part: Part index which is published in feed, same numbering as parts settings (default: 0)
+	 * - format: Format index which is published in feed (default: 0)
+	 * - title, link, description, language, copyright, author, image, category, type, explicit: Channel info
+	 * - owner.name, owner.email: Channel owner
+	 * - url: Public url of the feed itself
+	 * - item.title, item.description, item.episode, item.season: Episode info, same placeholders as metadata
+	 *
+	 * Replace object with false to not publish a feed
+	 */
+	"feed": false,
+
+	/**
+	 * manifest.json with parts, timings, file sizes, hashes, stream info, keys and urls,
+	 * written to output folder and public prefix
+	 *
+	 * - private: Also write manifest.private.json with source and cuts and their signed links to private prefix (default: false)
+	 *
+	 * Replace object with false to not write a manifest
+	 */
+	"manifest": {
+		"private": false,
+	},
+
+	/**
+	 * Notifiers for start, status, error and result events
+	 *
+	 * - type: "discord" | "slack" | "matrix" | "webhook" | "email"
+	 * - events: Events to send (default: all, error and result for email)
+	 *
+	 * Discord: webhook, ping (userid or &roleid to @mention), retries (default: 3),
+	 *   threadId (post into existing thread) or thread (forum channels: true or name template, {outputBase} placeholder)
+	 * Slack: webhook (incoming webhook url), mention (<@U123> or <!channel>), status is only posted once finished
+	 * Matrix: homeserver, accessToken, roomId, mention
+	 * Webhook: url, headers, events are posted as json {event, ...data}
+	 * Email: smtp (nodemailer transport options: host, port, secure, auth.user, auth.pass), from, to
+	 */
+	"notifiers": [
+		{
+			"type": "discord",
+			"webhook": "",
+			"ping": "",
+		},
+	],
 }
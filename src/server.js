@@ -0,0 +1,240 @@
+import {createServer} from 'node:http';
+import {readdir, readFile} from 'node:fs/promises';
+import {basename, join, resolve} from 'node:path';
+
+import EpisodeProcessor from './episode-processor.js';
+import JobQueue from './job-queue.js';
+import {writeLogEvent} from './log-renderer.js';
+import {getEpisodeArgv} from './watch.js';
+
+const PRESET_EXTENSION = '.json5';
+const MAX_BODY_SIZE = 1024 * 1024;
+
+class HttpError extends Error {
+	constructor(statusCode, message) {
+		super(message);
+		this.statusCode = statusCode;
+	}
+}
+
+function sendJson(response, statusCode, data) {
+	response.writeHead(statusCode, {'content-type': 'application/json'});
+	response.end(JSON.stringify(data));
+}
+
+function sendEvent(response, event, data) {
+	response.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+async function readJson(request) {
+	let body = '';
+
+	for await (const chunk of request) {
+		body += chunk;
+		if (body.length > MAX_BODY_SIZE) {
+			throw new HttpError(413, 'Request body too large');
+		}
+	}
+
+	try {
+		return JSON.parse(body);
+	} catch {
+		throw new HttpError(400, 'Request body is not valid json');
+	}
+}
+
+/**
+ * Check submitted job, cuts and times are strings same as command line arguments
+ *
+ * @returns {{preset: string, source: string, outputBase: string, cuts: string[], start?: string, end?: string}} Job options
+ */
+function validateJob({preset, source, outputBase, cuts = [], start, end}) {
+	for (const [name, value] of Object.entries({preset, source, outputBase})) {
+		if (typeof value !== 'string' || value.trim() === '') {
+			throw new HttpError(400, `${name} is required`);
+		}
+	}
+
+	// Presets can only be picked from presets folder
+	if (!/^[\w.-]+$/.test(preset)) {
+		throw new HttpError(400, `Invalid preset ${preset}`);
+	}
+
+	if (!Array.isArray(cuts)) {
+		throw new HttpError(400, 'cuts must be an array');
+	}
+
+	return {
+		preset,
+		source: source.trim(),
+		outputBase: outputBase.trim(),
+		cuts: cuts.map(cut => String(cut).trim()).filter(Boolean),
+		start: start ? String(start) : undefined,
+		end: end ? String(end) : undefined,
+	};
+}
+
+/**
+ * Serve HTTP API and dashboard for submitting episodes and following their progress
+ *
+ * - GET /api/presets: Preset names in presets folder
+ * - GET /api/jobs, POST /api/jobs {preset, source, outputBase, cuts, start?, end?}
+ * - GET /api/jobs/:id, POST /api/jobs/:id/cancel
+ * - GET /api/jobs/:id/events: Server-sent events, job (job info) and status (task group status)
+ */
+export async function serve(argv) {
+	const presetsFolder = resolve(argv.presets);
+	const log = message => writeLogEvent(argv.logFormat, {type: 'serve', message});
+	const queue = new JobQueue();
+	// Latest status of each task group by job, for clients connecting later
+	const statuses = new Map();
+	const clients = new Map();
+
+	const broadcast = (id, event, data) => {
+		for (const response of clients.get(id) ?? []) {
+			sendEvent(response, event, data);
+		}
+	};
+
+	queue.on('added', job => log(`${job.name}: queued`));
+	for (const event of ['started', 'finished']) {
+		queue.on(event, job => {
+			log(`${job.name}: ${job.status}${job.error ? ', ' + job.error : ''}`);
+			broadcast(job.id, 'job', job);
+
+			if (event === 'finished') {
+				for (const response of clients.get(job.id) ?? []) {
+					response.end();
+				}
+
+				clients.delete(job.id);
+			}
+		});
+	}
+
+	const addJob = async body => {
+		const options = validateJob(body);
+		const episodeArgv = await getEpisodeArgv(join(presetsFolder, options.preset + PRESET_EXTENSION), {
+			source: options.source,
+			outputBase: options.outputBase,
+			cuts: options.cuts,
+			start: options.start,
+			end: options.end,
+			logFormat: argv.logFormat,
+		}).catch(error => {
+			throw new HttpError(400, `Can't load preset ${options.preset}: ${error.message}`);
+		});
+
+		return queue.add({
+			name: options.outputBase,
+			options,
+			run: async (job, signal) => {
+				const processor = new EpisodeProcessor(episodeArgv);
+				const jobStatuses = new Map();
+				statuses.set(job.id, jobStatuses);
+
+				signal.addEventListener('abort', () => processor.cancel());
+				processor.events.on('status', status => {
+					jobStatuses.set(status.id, status);
+					broadcast(job.id, 'status', status);
+				});
+
+				await processor.run();
+			},
+		});
+	};
+
+	const getJob = id => {
+		const job = queue.get(Number(id));
+		if (!job) {
+			throw new HttpError(404, `Job ${id} not found`);
+		}
+
+		return job;
+	};
+
+	const routes = [
+		['GET', /^\/$/, async (_request, response) => {
+			response.writeHead(200, {'content-type': 'text/html; charset=utf-8'});
+			response.end(await readFile(new URL('dashboard.html', import.meta.url)));
+		}],
+		['GET', /^\/api\/presets$/, async (_request, response) => {
+			const files = await readdir(presetsFolder);
+			sendJson(response, 200, files
+				.filter(file => file.endsWith(PRESET_EXTENSION))
+				.map(file => basename(file, PRESET_EXTENSION))
+				.sort((a, b) => a.localeCompare(b)));
+		}],
+		['GET', /^\/api\/jobs$/, async (_request, response) => {
+			sendJson(response, 200, queue.jobs);
+		}],
+		['POST', /^\/api\/jobs$/, async (request, response) => {
+			sendJson(response, 201, await addJob(await readJson(request)));
+		}],
+		['GET', /^\/api\/jobs\/(\d+)$/, async (_request, response, id) => {
+			sendJson(response, 200, getJob(id));
+		}],
+		['POST', /^\/api\/jobs\/(\d+)\/cancel$/, async (_request, response, id) => {
+			const job = getJob(id);
+			if (!queue.cancel(job.id)) {
+				throw new HttpError(409, `Job ${id} has already finished`);
+			}
+
+			log(`${job.name}: cancelling`);
+			sendJson(response, 202, job);
+		}],
+		['GET', /^\/api\/jobs\/(\d+)\/events$/, async (request, response, id) => {
+			const job = getJob(id);
+
+			response.writeHead(200, {
+				'content-type': 'text/event-stream',
+				'cache-control': 'no-cache',
+				connection: 'keep-alive',
+			});
+			sendEvent(response, 'job', job);
+			for (const status of statuses.get(job.id)?.values() ?? []) {
+				sendEvent(response, 'status', status);
+			}
+
+			if (!['queued', 'running'].includes(job.status)) {
+				response.end();
+				return;
+			}
+
+			clients.set(job.id, new Set([...clients.get(job.id) ?? [], response]));
+			request.on('close', () => {
+				clients.get(job.id)?.delete(response);
+			});
+		}],
+	];
+
+	const server = createServer(async (request, response) => {
+		const {pathname} = new URL(request.url, 'http://localhost');
+
+		try {
+			for (const [method, pattern, handler] of routes) {
+				const match = pattern.exec(pathname);
+				if (match && request.method === method) {
+					// eslint-disable-next-line no-await-in-loop
+					await handler(request, response, ...match.slice(1));
+					return;
+				}
+			}
+
+			throw new HttpError(404, `${request.method} ${pathname} not found`);
+		} catch (error) {
+			if (!response.headersSent) {
+				sendJson(response, error.statusCode ?? 500, {error: error.message});
+			}
+		}
+	});
+
+	await new Promise((resolve, reject) => {
+		server.once('error', reject);
+		server.listen(argv.port, argv.host, resolve);
+	});
+
+	log(`Dashboard at http://${argv.host}:${argv.port}/, presets from ${presetsFolder}`);
+
+	return server;
+}
@@ -0,0 +1,146 @@
+import {readdir, readFile, rename, stat, writeFile} from 'node:fs/promises';
+import {dirname, join} from 'node:path';
+
+import {hashFile} from './utils.js';
+
+export const STATE_FILENAME = '.pod-knight-state.json';
+
+/**
+ * Tracks finished work of an episode so an interrupted run can be resumed
+ *
+ * Stored as json in output folder, sections:
+ * - cuts: part filename => {file, args, size, sha256}
+ * - outputs: output filename => {file, args, size, sha256, source}, playlists also list their folder in files
+ * - uploads: bucket/key => {bucket, key, size, fingerprint, location}
+ * - loudness: cut:/output: + filename => loudnorm measurement
+ * - images: image filename => {file, args, size, sha256, source}
+ */
+/**
+ * Describe all files in folder for encodes that write more than one file
+ *
+ * @param {string} folder Output folder
+ * @returns {Promise<Array<{path: string, size: number, sha256: string}>>} Files with paths relative to folder
+ */
+export async function describeFolder(folder) {
+	const files = [];
+	for (const path of (await readdir(folder, {recursive: true})).sort()) {
+		const file = join(folder, path);
+		// eslint-disable-next-line no-await-in-loop
+		const stats = await stat(file);
+		if (stats.isFile()) {
+			// eslint-disable-next-line no-await-in-loop
+			files.push({path, size: stats.size, sha256: await hashFile(file)});
+		}
+	}
+
+	return files;
+}
+
+export default class EpisodeState {
+	constructor(folder) {
+		this.path = join(folder, STATE_FILENAME);
+		this.data = {
+			cuts: {},
+			outputs: {},
+			uploads: {},
+			loudness: {},
+			images: {},
+		};
+		this.saving = Promise.resolve();
+	}
+
+	async load() {
+		const data = JSON.parse(await readFile(this.path, 'utf-8'));
+
+		this.data = {
+			...this.data,
+			...data,
+		};
+	}
+
+	save() {
+		// Serialize writes so parallel tasks don't write over each other,
+		// a failed write is reported to its caller and doesn't block later ones
+		const saving = this.saving.catch(() => {}).then(async () => {
+			await writeFile(this.path + '.tmp', JSON.stringify(this.data, undefined, '\t'));
+			await rename(this.path + '.tmp', this.path);
+		});
+		this.saving = saving;
+
+		return saving;
+	}
+
+	get(section, id) {
+		return this.data[section][id];
+	}
+
+	async set(section, id, value) {
+		this.data[section][id] = value;
+
+		await this.save();
+	}
+
+	/**
+	 * Record encoded file with hash for verification on resume
+	 *
+	 * @param {'cuts'|'outputs'|'images'} section State section
+	 * @param {string} id Part or output filename
+	 * @param {string} file Local file location
+	 * @param {Array} args ffmpeg arguments used to create the file
+	 * @param {object} extra Additional data to store with the record
+	 */
+	// eslint-disable-next-line max-params
+	async setEncoded(section, id, file, args, extra = {}) {
+		const [{size}, sha256] = await Promise.all([stat(file), hashFile(file)]);
+
+		await this.set(section, id, {
+			file,
+			args: args.map(argument => String(argument)),
+			size,
+			sha256,
+			...extra,
+		});
+	}
+
+	/**
+	 * Check if file was encoded previously with the same arguments and is unchanged since,
+	 * for records with files every file in the folder has to match too
+	 *
+	 * @param {'cuts'|'outputs'|'images'} section State section
+	 * @param {string} id Part or output filename
+	 * @param {string} file Local file location
+	 * @param {Array} args ffmpeg arguments that would be used to create the file
+	 * @returns {Promise<boolean>} Previous encode can be used
+	 */
+	async isEncoded(section, id, file, args) {
+		const previous = this.get(section, id);
+
+		if (!previous || previous.file !== file || JSON.stringify(previous.args) !== JSON.stringify(args.map(argument => String(argument)))) {
+			return false;
+		}
+
+		try {
+			const {size} = await stat(file);
+			if (size !== previous.size) {
+				return false;
+			}
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return false;
+			}
+
+			throw error;
+		}
+
+		if (await hashFile(file) !== previous.sha256) {
+			return false;
+		}
+
+		if (!previous.files) {
+			return true;
+		}
+
+		const files = await describeFolder(dirname(file));
+		return JSON.stringify(files) === JSON.stringify(previous.files);
+	}
+}
@@ -0,0 +1,62 @@
+import LocalTarget from './local.js';
+import S3Target from './s3.js';
+import SftpTarget from './sftp.js';
+import WebdavTarget from './webdav.js';
+
+const TARGETS = {
+	s3: S3Target,
+	local: LocalTarget,
+	sftp: SftpTarget,
+	webdav: WebdavTarget,
+};
+
+/**
+ * Create private and public storage targets from preset
+ *
+ * @param {object} upload Upload settings
+ * @param {string} episode Episode output base
+ * @returns {{private: import('./target.js').default, public: import('./target.js').default}} Targets
+ */
+export function createStorage(upload, episode) {
+	const create = (options, isPublic) => {
+		const type = options.type ?? 's3';
+		const Type = TARGETS[type];
+		if (!Type) {
+			throw new Error(`Unknown storage type ${type}, supported: ${Object.keys(TARGETS).join(', ')}`);
+		}
+
+		return new Type({
+			// S3 targets share client options unless they have their own
+			...(type === 's3' ? {options: upload.options} : {}),
+			...options,
+		}, {episode, isPublic});
+	};
+
+	return {
+		private: create(upload.private, false),
+		public: create(upload.public, true),
+	};
+}
+
+/**
+ * Show upload progress in task output
+ *
+ * @returns {function({loaded: number, total: number}): void} Progress callback
+ */
+export function getTaskProgress(task) {
+	return ({loaded, total}) => {
+		const pct = ((loaded / total) * 100).toFixed(0);
+		task.output = `${loaded} / ${total} (${pct}%)`;
+	};
+}
+
+/**
+ * Read upload progress back from task output written by getTaskProgress
+ *
+ * @returns {{loaded: number, total: number}|undefined} Progress, undefined for other output
+ */
+export function parseTaskProgress(output) {
+	const match = /^(\d+) \/ (\d+) \(\d+%\)$/.exec(output);
+
+	return match ? {loaded: Number(match[1]), total: Number(match[2])} : undefined;
+}
@@ -0,0 +1,145 @@
+import {constants, createReadStream, createWriteStream} from 'node:fs';
+import {access, mkdir, readdir, readFile, rename, rm, stat} from 'node:fs/promises';
+import {dirname, join, resolve} from 'node:path';
+import {pipeline} from 'node:stream/promises';
+import {pathToFileURL} from 'node:url';
+
+import {hashFile, joinS3Path} from '../utils.js';
+import StorageTarget, {joinUrl} from './target.js';
+
+/**
+ * Local or mounted (NFS, SMB...) directory
+ *
+ * Options:
+ * - path: Directory files are copied into
+ * - prefix: Base directory for uploaded files inside path
+ * - url: Url the directory is served from, links point to the file itself if not set
+ */
+export default class LocalTarget extends StorageTarget {
+	get id() {
+		return 'file://' + resolve(this.options.path);
+	}
+
+	getPath(key) {
+		return join(this.options.path, ...key.split('/'));
+	}
+
+	async check() {
+		await access(this.options.path, constants.W_OK);
+	}
+
+	async list(prefix) {
+		const files = [];
+		const walk = async directory => {
+			let entries;
+			try {
+				entries = await readdir(this.getPath(directory), {withFileTypes: true});
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return;
+				}
+
+				throw error;
+			}
+
+			for (const entry of entries) {
+				const key = joinS3Path(directory, entry.name);
+				if (entry.isDirectory()) {
+					if (!key.startsWith(prefix) && !prefix.startsWith(key + '/')) {
+						continue;
+					}
+
+					// eslint-disable-next-line no-await-in-loop
+					await walk(key);
+				} else if (key.startsWith(prefix)) {
+					// eslint-disable-next-line no-await-in-loop
+					files.push({key, size: (await stat(this.getPath(key))).size});
+				}
+			}
+		};
+
+		// Prefix can end in the middle of a name
+		await walk(prefix.slice(0, Math.max(0, prefix.lastIndexOf('/'))));
+
+		return files;
+	}
+
+	async size(key) {
+		try {
+			return (await stat(this.getPath(key))).size;
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return;
+			}
+
+			throw error;
+		}
+	}
+
+	async details(key) {
+		const {size, mtime} = await stat(this.getPath(key));
+
+		return {
+			size,
+			modified: mtime,
+		};
+	}
+
+	async read(key) {
+		try {
+			return await readFile(this.getPath(key), 'utf-8');
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return;
+			}
+
+			throw error;
+		}
+	}
+
+	async upload(key, file, {onProgress, signal} = {}) {
+		const destination = this.getPath(key);
+		const temporary = destination + '.part';
+		const {size: total} = await stat(file);
+		await mkdir(dirname(destination), {recursive: true});
+
+		const input = createReadStream(file);
+		if (onProgress) {
+			let loaded = 0;
+			input.on('data', chunk => {
+				loaded += chunk.length;
+				onProgress({loaded, total});
+			});
+		}
+
+		// Files being copied aren't visible under final name
+		await pipeline(input, createWriteStream(temporary), {signal});
+		await rename(temporary, destination);
+
+		return this.getLink(key);
+	}
+
+	async verify(key, local) {
+		const mismatch = await super.verify(key, local);
+		if (mismatch) {
+			return mismatch;
+		}
+
+		const uploaded = await hashFile(this.getPath(key));
+		if (uploaded !== local.sha256) {
+			return `sha256 ${uploaded} instead of ${local.sha256}`;
+		}
+	}
+
+	async delete(keys) {
+		await Promise.all(keys.map(key => rm(this.getPath(key), {force: true})));
+	}
+
+	async deleteFolder(prefix) {
+		await rm(this.getPath(prefix), {recursive: true, force: true});
+	}
+
+	async getLink(key) {
+		return this.options.url ? joinUrl(this.options.url, key) : pathToFileURL(resolve(this.getPath(key))).href;
+	}
+}
@@ -0,0 +1,328 @@
+import {createHash} from 'node:crypto';
+import {createReadStream} from 'node:fs';
+import {DeleteObjectsCommand, GetObjectCommand, HeadObjectCommand, ListBucketsCommand, ListObjectsV2Command, S3Client} from '@aws-sdk/client-s3';
+import {Upload} from '@aws-sdk/lib-storage';
+import {getSignedUrl} from '@aws-sdk/s3-request-presigner';
+import {lookup as mimeLookup} from 'mime-types';
+
+import {formatExpiry} from '../utils.js';
+import StorageTarget from './target.js';
+
+function configureS3(options) {
+	const client = new S3Client({
+		// DO Spaces don't need this while S3 client fails without it
+		region: '-',
+		...options,
+	});
+
+	// https://github.com/aws/aws-sdk-js-v3/issues/1814#issuecomment-765624523
+	client.middlewareStack.add(
+		(next, _context) => args => {
+			if (
+				args.request
+				&& args.request.body
+				&& args.request.body.includes('CompletedMultipartUpload')
+			) {
+				args.request.body = args.request.body.replace(
+					/CompletedMultipartUpload/g,
+					'CompleteMultipartUpload',
+				);
+			}
+
+			return next(args);
+		},
+		{
+			step: 'build',
+			priority: 'high',
+		},
+	);
+
+	return client;
+}
+
+const PART_SIZE = 1024 * 1024 * 25;
+// Longest signed urls S3 accepts
+const MAX_LINK_EXPIRY = 7 * 24 * 60 * 60;
+
+/**
+ * Custom multipart options (larger partSize as we have bigger files)
+ */
+export function getUploadOptions(params, episode, publicBucket = false) {
+	return {
+		params: {
+			...params,
+			ACL: publicBucket ? 'public-read' : 'private',
+			ContentType: params.ContentType ?? mimeLookup(params.Key),
+			Metadata: {
+				...params.Metadata,
+				'x-amz-meta-episode': episode,
+			},
+		},
+		partSize: PART_SIZE,
+	};
+}
+
+/**
+ * ETags S3 can give the file, MD5 for single part uploads and MD5 of part MD5s for multipart
+ *
+ * Fed chunks of the file in order, digest() gives the possible ETags
+ */
+export class ETagHash {
+	constructor() {
+		this.whole = createHash('md5');
+		this.parts = [];
+		this.part = createHash('md5');
+		this.partLength = 0;
+	}
+
+	update(chunk) {
+		this.whole.update(chunk);
+
+		for (let offset = 0; offset < chunk.length;) {
+			const piece = chunk.subarray(offset, offset + PART_SIZE - this.partLength);
+			this.part.update(piece);
+			this.partLength += piece.length;
+			offset += piece.length;
+
+			if (this.partLength === PART_SIZE) {
+				this.parts.push(this.part.digest());
+				this.part = createHash('md5');
+				this.partLength = 0;
+			}
+		}
+	}
+
+	/**
+	 * @returns {string[]} Possible ETags
+	 */
+	digest() {
+		const parts = this.partLength > 0 || this.parts.length === 0 ? [...this.parts, this.part.digest()] : this.parts;
+
+		return [
+			this.whole.digest('hex'),
+			createHash('md5').update(Buffer.concat(parts)).digest('hex') + '-' + parts.length,
+		];
+	}
+}
+
+/**
+ * Calculate ETags S3 can give the file
+ *
+ * @param {string} file File location
+ * @returns {Promise<string[]>} Possible ETags
+ */
+export async function getExpectedETags(file) {
+	const hash = new ETagHash();
+
+	for await (const chunk of createReadStream(file)) {
+		hash.update(chunk);
+	}
+
+	return hash.digest();
+}
+
+/**
+ * Read GetObject body stream into string
+ */
+export async function readBody(body) {
+	const chunks = [];
+
+	for await (const chunk of body) {
+		chunks.push(chunk);
+	}
+
+	return Buffer.concat(chunks).toString('utf-8');
+}
+
+/**
+ * S3/-compatible bucket
+ *
+ * Options:
+ * - bucket: Bucket name
+ * - prefix: Base "directory" for uploaded files
+ * - options: Configuration for s3 client (default: shared upload.options)
+ */
+export default class S3Target extends StorageTarget {
+	constructor(options, settings) {
+		super(options, settings);
+
+		this.client = configureS3(options.options);
+		// https://github.com/aws/aws-sdk-js-v3/issues/2438
+		this.signClient = configureS3(options.options);
+	}
+
+	get id() {
+		return this.options.bucket;
+	}
+
+	async check() {
+		const {Buckets: buckets} = await this.client.send(new ListBucketsCommand({}));
+
+		if (!buckets.some(({Name}) => Name === this.options.bucket)) {
+			throw new Error(`Bucket ${this.options.bucket} not found`);
+		}
+	}
+
+	async list(prefix) {
+		const files = [];
+		let token;
+
+		do {
+			// eslint-disable-next-line no-await-in-loop
+			const {Contents = [], NextContinuationToken} = await this.client.send(new ListObjectsV2Command({
+				Bucket: this.options.bucket,
+				Prefix: prefix,
+				ContinuationToken: token,
+			}));
+
+			files.push(...Contents.map(({Key, Size}) => ({key: Key, size: Size})));
+			token = NextContinuationToken;
+		} while (token);
+
+		return files;
+	}
+
+	async details(key) {
+		const {ContentLength, ContentType, LastModified, Metadata = {}} = await this.client.send(new HeadObjectCommand({
+			Bucket: this.options.bucket,
+			Key: key,
+		}));
+
+		return {
+			size: ContentLength,
+			contentType: ContentType,
+			modified: LastModified,
+			episode: Metadata['x-amz-meta-episode'],
+			sha256: Metadata.sha256,
+		};
+	}
+
+	async size(key) {
+		try {
+			const {ContentLength} = await this.client.send(new HeadObjectCommand({
+				Bucket: this.options.bucket,
+				Key: key,
+			}));
+
+			return ContentLength;
+		} catch (error) {
+			if (error.name === 'NotFound') {
+				return;
+			}
+
+			throw error;
+		}
+	}
+
+	async read(key) {
+		try {
+			const {Body} = await this.client.send(new GetObjectCommand({
+				Bucket: this.options.bucket,
+				Key: key,
+			}));
+
+			return await readBody(Body);
+		} catch (error) {
+			if (error.name === 'NoSuchKey') {
+				return;
+			}
+
+			throw error;
+		}
+	}
+
+	async upload(key, file, {contentType, cacheControl, sha256, onProgress, signal} = {}) {
+		const upload = new Upload({
+			client: this.client,
+			...getUploadOptions({
+				Bucket: this.options.bucket,
+				Key: key,
+				Body: createReadStream(file),
+				ContentType: contentType,
+				CacheControl: cacheControl,
+				Metadata: sha256 && {sha256},
+			}, this.episode, this.isPublic),
+		});
+
+		if (onProgress) {
+			upload.on('httpUploadProgress', ({loaded, total}) => onProgress({loaded, total}));
+		}
+
+		const abort = () => upload.abort();
+		signal?.addEventListener('abort', abort, {once: true});
+
+		try {
+			const {Location} = await upload.done();
+
+			return Location;
+		} finally {
+			signal?.removeEventListener('abort', abort);
+		}
+	}
+
+	createChecksum() {
+		return new ETagHash();
+	}
+
+	/**
+	 * Compare ETag and size from HeadObject, ETags of buckets with KMS encryption aren't MD5 based and always mismatch
+	 */
+	async verify(key, {file, size, checksum}) {
+		const [head, etags] = await Promise.all([
+			this.client.send(new HeadObjectCommand({
+				Bucket: this.options.bucket,
+				Key: key,
+			})),
+			checksum ?? getExpectedETags(file),
+		]);
+
+		if (head.ContentLength !== size) {
+			return `size ${head.ContentLength} instead of ${size}`;
+		}
+
+		const etag = head.ETag?.replace(/"/g, '');
+		if (!etags.includes(etag)) {
+			return `ETag ${etag} instead of ${etags.join(' or ')}`;
+		}
+	}
+
+	async delete(keys) {
+		// DeleteObjects takes up to 1000 keys
+		for (let index = 0; index < keys.length; index += 1000) {
+			// eslint-disable-next-line no-await-in-loop
+			const {Errors = []} = await this.client.send(new DeleteObjectsCommand({
+				Bucket: this.options.bucket,
+				Delete: {
+					Objects: keys.slice(index, index + 1000).map(key => ({Key: key})),
+					Quiet: true,
+				},
+			}));
+
+			if (Errors.length > 0) {
+				throw new Error(`Deleting ${Errors.length} files failed: ${Errors.slice(0, 5).map(({Key, Message}) => `${Key} (${Message})`).join(', ')}`);
+			}
+		}
+	}
+
+	async deleteFolder(prefix) {
+		const files = await this.list(prefix + '/');
+
+		await this.delete(files.map(({key}) => key));
+	}
+
+	async getLink(key, {expiresIn = MAX_LINK_EXPIRY} = {}) {
+		const url = await getSignedUrl(this.signClient, new GetObjectCommand({
+			Bucket: this.options.bucket,
+			Key: key,
+		}), {expiresIn});
+
+		// Public objects don't need the signature
+		return this.isPublic ? url.slice(0, url.indexOf('?')) : url;
+	}
+
+	checkLinkExpiry(seconds) {
+		if (seconds > MAX_LINK_EXPIRY) {
+			throw new Error(`Link expiry ${formatExpiry(seconds)} is longer than S3 signed urls allow (${formatExpiry(MAX_LINK_EXPIRY)})`);
+		}
+	}
+}
@@ -0,0 +1,192 @@
+import {readFile} from 'node:fs/promises';
+import {dirname} from 'node:path/posix';
+import SftpClient from 'ssh2-sftp-client';
+
+import {joinS3Path} from '../utils.js';
+import StorageTarget, {joinUrl} from './target.js';
+
+/**
+ * Directory on SFTP server, connection is opened on first use
+ *
+ * Options:
+ * - host, port: Server address (default port: 22)
+ * - username: Login user
+ * - password: Login password
+ * - privateKey: Path to private key file, used instead of password
+ * - passphrase: Passphrase of private key
+ * - path: Remote directory files are uploaded into
+ * - prefix: Base directory for uploaded files inside path
+ * - url: Url the remote directory is served from, required for public target
+ */
+export default class SftpTarget extends StorageTarget {
+	get id() {
+		const {username, host, port = 22, path = ''} = this.options;
+		return `sftp://${username}@${host}:${port}/${path.replace(/^\//, '')}`;
+	}
+
+	getPath(key) {
+		return joinS3Path(this.options.path ?? '.', key);
+	}
+
+	async connect() {
+		if (this.connection) {
+			return this.connection;
+		}
+
+		// Failed or dropped connection is opened again on next use, so uploads can be retried
+		const forget = () => {
+			if (this.connection === connection) {
+				this.connection = undefined;
+			}
+		};
+
+		const connection = (async () => {
+			const {host, port = 22, username, password, privateKey, passphrase} = this.options;
+			const client = new SftpClient();
+			await client.connect({
+				host,
+				port,
+				username,
+				password,
+				privateKey: privateKey && await readFile(privateKey),
+				passphrase,
+			});
+
+			client.on('close', forget);
+			client.on('error', forget);
+
+			return client;
+		})();
+
+		this.connection = connection;
+		connection.catch(forget);
+
+		return connection;
+	}
+
+	async check() {
+		if (this.isPublic && !this.options.url) {
+			throw new Error('url is required for public target, published links have to work without login');
+		}
+
+		const client = await this.connect();
+
+		if (await client.exists(this.options.path ?? '.') !== 'd') {
+			throw new Error(`Directory ${this.options.path} not found on ${this.options.host}`);
+		}
+	}
+
+	async list(prefix) {
+		const client = await this.connect();
+		const files = [];
+		const walk = async directory => {
+			if (await client.exists(this.getPath(directory)) !== 'd') {
+				return;
+			}
+
+			for (const entry of await client.list(this.getPath(directory))) {
+				const key = joinS3Path(directory, entry.name);
+				if (entry.type === 'd') {
+					if (!key.startsWith(prefix) && !prefix.startsWith(key + '/')) {
+						continue;
+					}
+
+					// eslint-disable-next-line no-await-in-loop
+					await walk(key);
+				} else if (key.startsWith(prefix)) {
+					files.push({key, size: entry.size});
+				}
+			}
+		};
+
+		// Prefix can end in the middle of a name
+		await walk(prefix.slice(0, Math.max(0, prefix.lastIndexOf('/'))));
+
+		return files;
+	}
+
+	async size(key) {
+		const client = await this.connect();
+
+		if (await client.exists(this.getPath(key)) !== '-') {
+			return;
+		}
+
+		return (await client.stat(this.getPath(key))).size;
+	}
+
+	async details(key) {
+		const client = await this.connect();
+		const {size, modifyTime} = await client.stat(this.getPath(key));
+
+		return {
+			size,
+			modified: new Date(modifyTime),
+		};
+	}
+
+	async read(key) {
+		const client = await this.connect();
+
+		if (await client.exists(this.getPath(key)) !== '-') {
+			return;
+		}
+
+		return (await client.get(this.getPath(key))).toString('utf-8');
+	}
+
+	async upload(key, file, {onProgress, signal} = {}) {
+		const client = await this.connect();
+		const destination = this.getPath(key);
+
+		try {
+			await client.mkdir(dirname(destination), true);
+		} catch (error) {
+			// Parallel upload might have created it
+			if (await client.exists(dirname(destination)) !== 'd') {
+				throw error;
+			}
+		}
+
+		// Transfer can't be stopped on its own, so cancelling ends the connection
+		const abort = () => client.end().catch(() => {});
+		signal?.addEventListener('abort', abort, {once: true});
+
+		try {
+			await client.fastPut(file, destination, {
+				step: (loaded, _chunk, total) => onProgress?.({loaded, total}),
+			});
+		} finally {
+			signal?.removeEventListener('abort', abort);
+		}
+
+		return this.getLink(key);
+	}
+
+	async delete(keys) {
+		const client = await this.connect();
+
+		for (const key of keys) {
+			// eslint-disable-next-line no-await-in-loop
+			await client.delete(this.getPath(key), true);
+		}
+	}
+
+	async deleteFolder(prefix) {
+		const client = await this.connect();
+
+		if (await client.exists(this.getPath(prefix)) === 'd') {
+			await client.rmdir(this.getPath(prefix), true);
+		}
+	}
+
+	async getLink(key) {
+		return this.options.url ? joinUrl(this.options.url, key) : `${this.id}/${key}`;
+	}
+
+	async close() {
+		if (this.connection) {
+			await (await this.connection).end();
+		}
+	}
+}
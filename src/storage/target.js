@@ -0,0 +1,161 @@
+import {joinS3Path} from '../utils.js';
+
+/**
+ * Base for storage targets
+ *
+ * Keys are "/" separated paths relative to the target's root, including the prefix.
+ * Targets for public files should give out links that work without credentials.
+ */
+export default class StorageTarget {
+	/**
+	 * @param {object} options Target settings from preset
+	 * @param {object} settings
+	 * @param {string} settings.episode Episode output base
+	 * @param {boolean} settings.isPublic Files are published
+	 */
+	constructor(options, {episode, isPublic = false}) {
+		this.options = options;
+		this.episode = episode;
+		this.isPublic = isPublic;
+		this.prefix = options.prefix ?? '';
+		this.outputPrefix = joinS3Path(options.prefix, episode);
+	}
+
+	/**
+	 * Identifier of the target for tracking uploads between runs
+	 */
+	get id() {
+		throw new Error('Not implemented');
+	}
+
+	/**
+	 * Check the target can be written to
+	 */
+	async check() {}
+
+	/**
+	 * @param {string} prefix Key prefix
+	 * @returns {Promise<Array<{key: string, size: number}>>} Files starting with prefix
+	 */
+	async list() {
+		return [];
+	}
+
+	/**
+	 * @param {string} key Key
+	 * @returns {Promise<number|undefined>} File size, undefined if it doesn't exist
+	 */
+	async size() {}
+
+	/**
+	 * @param {string} key Key
+	 * @returns {Promise<{size: number, contentType: string, modified: Date, episode: string, sha256: string}>} What the target knows about the file
+	 */
+	async details(key) {
+		return {
+			size: await this.size(key),
+		};
+	}
+
+	/**
+	 * @param {string} key Key
+	 * @returns {Promise<string|undefined>} File contents, undefined if it doesn't exist
+	 */
+	async read() {}
+
+	/**
+	 * Upload file
+	 *
+	 * @param {string} key Key
+	 * @param {string} file Local file
+	 * @param {object} options
+	 * @param {string} options.contentType Content type
+	 * @param {string} options.cacheControl Cache-Control header, if the target supports it
+	 * @param {string} options.sha256 Checksum of the file, stored with it if the target supports it
+	 * @param {function({loaded: number, total: number}): void} options.onProgress Progress callback
+	 * @param {AbortSignal} options.signal Stops the transfer when aborted
+	 * @returns {Promise<string>} Location of uploaded file
+	 */
+	async upload() {
+		throw new Error('Not implemented');
+	}
+
+	/**
+	 * Hash of local file verify() compares besides sha256, calculated while the file is hashed for upload
+	 *
+	 * @returns {{update: function(Buffer): void, digest: function(): *}|undefined} Hash, undefined if not needed
+	 */
+	createChecksum() {}
+
+	/**
+	 * Check uploaded file matches local file, by default only the size is compared
+	 *
+	 * @param {string} key Key
+	 * @param {object} local
+	 * @param {string} local.file Local file
+	 * @param {number} local.size File size
+	 * @param {string} local.sha256 File sha256 hex digest
+	 * @param {*} [local.checksum] Digest of createChecksum() hash
+	 * @returns {Promise<string|undefined>} Description of the mismatch, undefined if the file matches
+	 */
+	async verify(key, {size}) {
+		const uploaded = await this.size(key);
+
+		if (uploaded !== size) {
+			return `size ${uploaded ?? 'missing'} instead of ${size}`;
+		}
+	}
+
+	/**
+	 * Get link for sharing the file
+	 *
+	 * @param {string} key Key
+	 * @param {object} options
+	 * @param {number} options.expiresIn Seconds the link should work for, if the target supports it
+	 * @returns {Promise<string>} Link
+	 */
+	async getLink() {
+		throw new Error('Not implemented');
+	}
+
+	/**
+	 * Fail if links from getLink can't be valid that long
+	 *
+	 * @param {number} _seconds Link expiry in seconds
+	 */
+	checkLinkExpiry(_seconds) {}
+
+	/**
+	 * Delete files
+	 *
+	 * @param {string[]} keys Keys
+	 */
+	async delete() {
+		throw new Error('Not implemented');
+	}
+
+	/**
+	 * Delete every file inside "directory"
+	 *
+	 * @param {string} prefix Directory key, without trailing /
+	 */
+	async deleteFolder() {
+		throw new Error('Not implemented');
+	}
+
+	/**
+	 * Close connections
+	 */
+	async close() {}
+}
+
+/**
+ * Join base url and key, encoding key segments
+ *
+ * @param {string} base Base url
+ * @param {string} key Key
+ * @returns {string} Url
+ */
+export function joinUrl(base, key) {
+	return base.replace(/\/$/, '') + '/' + key.split('/').map(segment => encodeURIComponent(segment)).join('/');
+}
@@ -0,0 +1,221 @@
+import {createReadStream} from 'node:fs';
+import {stat} from 'node:fs/promises';
+import {dirname} from 'node:path/posix';
+import got from 'got';
+
+import StorageTarget, {joinUrl} from './target.js';
+
+const PROPFIND_BODY = '<?xml version="1.0" encoding="utf-8"?><propfind xmlns="DAV:"><prop><resourcetype/><getcontentlength/></prop></propfind>';
+
+/**
+ * Parse PROPFIND multistatus response, namespace prefixes differ between servers
+ *
+ * @param {string} xml Response body
+ * @returns {Array<{href: string, directory: boolean, size: number}>} Entries
+ */
+function parseMultistatus(xml) {
+	return [...xml.matchAll(/<(?:\w+:)?response\b[\S\s]*?<\/(?:\w+:)?response>/g)].map(([response]) => ({
+		href: decodeURIComponent(/<(?:\w+:)?href>([^<]*)</.exec(response)[1]),
+		directory: /<(?:\w+:)?collection\s*\/>/.test(response),
+		size: Number.parseInt(/<(?:\w+:)?getcontentlength>(\d+)</.exec(response)?.[1] ?? '0', 10),
+	}));
+}
+
+/**
+ * WebDAV server (Nextcloud, Apache mod_dav...)
+ *
+ * Options:
+ * - url: Url of the directory files are uploaded into
+ * - username: Login user
+ * - password: Login password
+ * - prefix: Base directory for uploaded files inside url
+ * - publicUrl: Url the directory is served from without login, required for public target
+ */
+export default class WebdavTarget extends StorageTarget {
+	constructor(options, settings) {
+		super(options, settings);
+
+		this.client = got.extend({
+			username: options.username,
+			password: options.password,
+			throwHttpErrors: false,
+		});
+		this.directories = new Map();
+	}
+
+	get id() {
+		return this.options.url;
+	}
+
+	/**
+	 * Send request, missing files are returned as 404 and other errors thrown
+	 *
+	 * @param {string} method Method
+	 * @param {string} key Key
+	 * @param {object} options Got options
+	 * @param {object} settings
+	 * @param {number[]} settings.allowed Accepted error status codes
+	 * @param {function({loaded: number, total: number}): void} settings.onProgress Upload progress callback
+	 * @param {AbortSignal} settings.signal Cancels the request when aborted
+	 * @returns {Promise<object>} Got response
+	 */
+	async request(method, key, options = {}, {allowed = [404], onProgress, signal} = {}) {
+		const request = this.client(joinUrl(this.options.url, key), {method, ...options});
+		if (onProgress) {
+			request.on('uploadProgress', ({transferred, total}) => onProgress({loaded: transferred, total}));
+		}
+
+		const cancel = () => request.cancel();
+		signal?.addEventListener('abort', cancel, {once: true});
+
+		let response;
+		try {
+			response = await request;
+		} finally {
+			signal?.removeEventListener('abort', cancel);
+		}
+
+		if (response.statusCode >= 400 && !allowed.includes(response.statusCode)) {
+			throw new Error(`WebDAV ${method} ${key} failed with ${response.statusCode} ${response.statusMessage}`);
+		}
+
+		return response;
+	}
+
+	async propfind(key, depth) {
+		return this.request('PROPFIND', key, {
+			headers: {
+				depth: String(depth),
+				'content-type': 'application/xml',
+			},
+			body: PROPFIND_BODY,
+		});
+	}
+
+	async check() {
+		if (this.isPublic && !this.options.publicUrl) {
+			throw new Error('publicUrl is required for public target, published links have to work without login');
+		}
+
+		const response = await this.propfind('', 0);
+
+		if (response.statusCode === 404 || !parseMultistatus(response.body)[0]?.directory) {
+			throw new Error(`Directory ${this.options.url} not found`);
+		}
+	}
+
+	async list(prefix) {
+		// Hrefs are absolute paths, keys are relative to base url
+		const basePath = decodeURIComponent(new URL(this.options.url).pathname).replace(/\/?$/, '/');
+		const files = [];
+		const walk = async directory => {
+			const response = await this.propfind(directory, 1);
+			if (response.statusCode === 404) {
+				return;
+			}
+
+			for (const entry of parseMultistatus(response.body)) {
+				const key = decodeURIComponent(new URL(entry.href, this.options.url).pathname).slice(basePath.length).replace(/\/$/, '');
+				// Directory itself is included in its listing
+				if (key === directory) {
+					continue;
+				}
+
+				if (entry.directory) {
+					if (!key.startsWith(prefix) && !prefix.startsWith(key + '/')) {
+						continue;
+					}
+
+					// eslint-disable-next-line no-await-in-loop
+					await walk(key);
+				} else if (key.startsWith(prefix)) {
+					files.push({key, size: entry.size});
+				}
+			}
+		};
+
+		// Prefix can end in the middle of a name
+		await walk(prefix.slice(0, Math.max(0, prefix.lastIndexOf('/'))));
+
+		return files;
+	}
+
+	async size(key) {
+		const response = await this.request('HEAD', key);
+
+		return response.statusCode === 404 ? undefined : Number.parseInt(response.headers['content-length'], 10);
+	}
+
+	async details(key) {
+		const {headers} = await this.request('HEAD', key, {}, {allowed: []});
+
+		return {
+			size: Number.parseInt(headers['content-length'], 10),
+			contentType: headers['content-type'],
+			modified: headers['last-modified'] && new Date(headers['last-modified']),
+		};
+	}
+
+	async read(key) {
+		const response = await this.request('GET', key);
+
+		return response.statusCode === 404 ? undefined : response.body;
+	}
+
+	/**
+	 * Create directory and its parents, each only once per run
+	 */
+	async createDirectory(key) {
+		if (key === '.' || key === '') {
+			return;
+		}
+
+		if (!this.directories.has(key)) {
+			const created = (async () => {
+				await this.createDirectory(dirname(key));
+				// 405: already exists
+				await this.request('MKCOL', key + '/', {}, {allowed: [405]});
+			})();
+
+			this.directories.set(key, created);
+			// Failed directory is created again by next upload
+			created.catch(() => {
+				if (this.directories.get(key) === created) {
+					this.directories.delete(key);
+				}
+			});
+		}
+
+		return this.directories.get(key);
+	}
+
+	async upload(key, file, {contentType, onProgress, signal} = {}) {
+		const {size} = await stat(file);
+		await this.createDirectory(dirname(key));
+
+		await this.request('PUT', key, {
+			headers: {
+				'content-type': contentType,
+				'content-length': String(size),
+			},
+			body: createReadStream(file),
+		}, {allowed: [], onProgress, signal});
+
+		return this.getLink(key);
+	}
+
+	async delete(keys) {
+		for (const key of keys) {
+			// eslint-disable-next-line no-await-in-loop
+			await this.request('DELETE', key);
+		}
+	}
+
+	async deleteFolder(prefix) {
+		await this.request('DELETE', prefix + '/');
+	}
+
+	async getLink(key) {
+		return joinUrl(this.options.publicUrl ?? this.options.url, key);
+	}
+}
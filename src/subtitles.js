@@ -0,0 +1,83 @@
+import {readFile} from 'node:fs/promises';
+
+import {parseDuration} from './utils.js';
+
+const TIMING_REGEX = /^\s*([\d,.:]+)\s+-->\s+([\d,.:]+)/;
+
+function parseTimestamp(value) {
+	return parseDuration(value.replace(',', '.'));
+}
+
+/**
+ * Parse SRT or WebVTT subtitles
+ *
+ * Cue identifiers, VTT cue settings and NOTE/STYLE blocks are dropped
+ *
+ * @param {string} contents Subtitles file contents
+ * @returns {Array<{start: number, end: number, text: string}>} Cues
+ */
+export function parseSubtitles(contents) {
+	const cues = [];
+
+	for (const block of contents.replace(/^\uFEFF/, '').split(/(?:\r?\n){2,}/)) {
+		const lines = block.split(/\r?\n/);
+		const timingIndex = lines.findIndex(line => TIMING_REGEX.test(line));
+		if (timingIndex === -1) {
+			continue;
+		}
+
+		const [, start, end] = TIMING_REGEX.exec(lines[timingIndex]);
+		const text = lines.slice(timingIndex + 1).join('\n').trim();
+		if (text) {
+			cues.push({
+				start: parseTimestamp(start),
+				end: parseTimestamp(end),
+				text,
+			});
+		}
+	}
+
+	return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * @param {string} path SRT or VTT file
+ * @returns {Promise<Array<{start: number, end: number, text: string}>>} Cues
+ */
+export async function loadSubtitlesFile(path) {
+	const cues = parseSubtitles(await readFile(path, 'utf-8'));
+	if (cues.length === 0) {
+		throw new Error(`No subtitles found in ${path}`);
+	}
+
+	return cues;
+}
+
+function formatTimestamp(seconds, separator) {
+	const ms = Math.round(seconds * 1000);
+
+	return String(Math.floor(ms / 3_600_000)).padStart(2, '0')
+		+ ':' + String(Math.floor(ms / 60_000) % 60).padStart(2, '0')
+		+ ':' + String(Math.floor(ms / 1000) % 60).padStart(2, '0')
+		+ separator + String(ms % 1000).padStart(3, '0');
+}
+
+/**
+ * @param {Array<{start: number, end: number, text: string}>} cues Cues
+ * @returns {string} SRT file contents
+ */
+export function formatSrt(cues) {
+	return cues
+		.map((cue, index) => `${index + 1}\n${formatTimestamp(cue.start, ',')} --> ${formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+		.join('\n');
+}
+
+/**
+ * @param {Array<{start: number, end: number, text: string}>} cues Cues
+ * @returns {string} WebVTT file contents
+ */
+export function formatVtt(cues) {
+	return 'WEBVTT\n\n' + cues
+		.map(cue => `${formatTimestamp(cue.start, '.')} --> ${formatTimestamp(cue.end, '.')}\n${cue.text}\n`)
+		.join('\n');
+}
@@ -0,0 +1,206 @@
+import {EOL} from 'node:os';
+
+import {Listr} from 'listr2';
+
+import {runFFmpeg, runFFprobe} from './ffmpeg.js';
+import {formatDuration, parseDuration} from './utils.js';
+
+const SILENCE_REGEX = /silence_(start|end): (-?[\d.]+)/;
+const BLACK_REGEX = /black_start:(-?[\d.]+) black_end:(-?[\d.]+)/;
+
+export function getDetectionSettings(source, {start, end, noise, silenceDuration, blackDuration}) {
+	return [
+		'-hide_banner',
+		...(start ? ['-ss', start] : []),
+		'-i',
+		source,
+		...(end ? ['-to', end - start] : []),
+		'-filter:v',
+		`blackdetect=d=${blackDuration}:pix_th=0.10`,
+		'-filter:a',
+		`silencedetect=noise=${noise}:d=${silenceDuration}`,
+		'-f',
+		'null',
+		'-',
+	];
+}
+
+/**
+ * Collect silence and black ranges from ffmpeg output
+ */
+export function createDetectionParser(offset = 0) {
+	const detections = {
+		silences: [],
+		blacks: [],
+	};
+	let silenceStart;
+
+	const onLine = line => {
+		const silence = SILENCE_REGEX.exec(line);
+		if (silence) {
+			const time = Number.parseFloat(silence[2]) + offset;
+
+			if (silence[1] === 'start') {
+				silenceStart = time;
+			} else if (silenceStart !== undefined) {
+				detections.silences.push({start: silenceStart, end: time});
+				silenceStart = undefined;
+			}
+
+			return;
+		}
+
+		const black = BLACK_REGEX.exec(line);
+		if (black) {
+			detections.blacks.push({
+				start: Number.parseFloat(black[1]) + offset,
+				end: Number.parseFloat(black[2]) + offset,
+			});
+		}
+	};
+
+	return {detections, onLine};
+}
+
+function totalDuration(ranges) {
+	let total = 0;
+	for (const range of ranges) {
+		total += range.end - range.start;
+	}
+
+	return total;
+}
+
+function overlap(a, b) {
+	return Math.max(0, Math.min(a.end, b.end) - Math.max(a.start, b.start));
+}
+
+/**
+ * Rank candidate boundaries, ranges where both silence and black frames happen score highest
+ *
+ * @param {{silences: Array<{start: number, end: number}>, blacks: Array<{start: number, end: number}>}} detections Detected ranges
+ * @returns {Array<{start: number, end: number, time: number, silence: number, black: number, score: number}>} Candidates, best first
+ */
+export function rankCandidates({silences, blacks}) {
+	const ranges = [
+		...silences.map(range => ({...range, type: 'silence'})),
+		...blacks.map(range => ({...range, type: 'black'})),
+	].sort((a, b) => a.start - b.start);
+
+	// Merge overlapping ranges into clusters
+	const clusters = [];
+	for (const range of ranges) {
+		const last = clusters[clusters.length - 1];
+		if (last && range.start <= last.end) {
+			last.end = Math.max(last.end, range.end);
+			last.ranges.push(range);
+		} else {
+			clusters.push({start: range.start, end: range.end, ranges: [range]});
+		}
+	}
+
+	return clusters
+		.map(({start, end, ranges}) => {
+			const silenceRanges = ranges.filter(({type}) => type === 'silence');
+			const blackRanges = ranges.filter(({type}) => type === 'black');
+			const silence = totalDuration(silenceRanges);
+			const black = totalDuration(blackRanges);
+
+			let both = 0;
+			for (const silenceRange of silenceRanges) {
+				for (const blackRange of blackRanges) {
+					both += overlap(silenceRange, blackRange);
+				}
+			}
+
+			return {
+				start,
+				end,
+				time: (start + end) / 2,
+				silence,
+				black,
+				score: silence + black + (both * 2),
+			};
+		})
+		.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Build cut list from best candidates in timeline order
+ *
+ * @param {Array} candidates Ranked candidates
+ * @param {number} count Number of cuts
+ * @param {boolean} skipGaps Skip the whole detected range instead of cutting in the middle
+ * @returns {string[]} Cut arguments
+ */
+export function getSuggestedCuts(candidates, count, skipGaps) {
+	return candidates
+		.slice(0, count)
+		.sort((a, b) => a.time - b.time)
+		.flatMap(candidate => (skipGaps
+			? [formatDuration(candidate.start), 'skip', formatDuration(candidate.end)]
+			: [formatDuration(candidate.time)]));
+}
+
+export async function suggestCuts(argv) {
+	const start = argv.start ? parseDuration(argv.start) : 0;
+	let end = argv.end ? parseDuration(argv.end) : undefined;
+	const {detections, onLine} = createDetectionParser(start);
+
+	const tasks = new Listr([
+		{
+			title: 'Input: ffprobe analyse',
+			enabled: () => argv.probe,
+			task: async (_context, task) => {
+				const probe = await runFFprobe(argv.source);
+				const duration = Number.parseFloat(probe.format.duration);
+
+				end = end ?? duration;
+				task.title = `Input: ${argv.source} (${formatDuration(duration)})`;
+			},
+		},
+		{
+			title: 'Detect silence and black frames',
+			task: async (_context, task) => {
+				await runFFmpeg(getDetectionSettings(argv.source, {
+					start,
+					end,
+					noise: argv.noise,
+					silenceDuration: argv.silenceDuration,
+					blackDuration: argv.blackDuration,
+				}), task, {onLine});
+				task.title = `Found ${detections.silences.length} silences and ${detections.blacks.length} black frame ranges`;
+			},
+		},
+	], {
+		rendererOptions: {
+			collapse: false,
+			showTimer: true,
+		},
+	});
+	await tasks.run();
+
+	const candidates = rankCandidates(detections);
+	if (candidates.length === 0) {
+		console.log('No candidates found, try adjusting --noise or durations');
+		return;
+	}
+
+	console.log(EOL + 'Candidates:');
+	for (const [index, candidate] of candidates.slice(0, argv.limit).entries()) {
+		console.log(
+			`#${index + 1} ${formatDuration(candidate.start)} - ${formatDuration(candidate.end)}`
+			+ `  (silence: ${candidate.silence.toFixed(1)}s, black: ${candidate.black.toFixed(1)}s, score: ${candidate.score.toFixed(1)})`,
+		);
+	}
+
+	const cuts = getSuggestedCuts(candidates, argv.count, argv.skipGaps);
+	console.log(EOL + 'Suggested cuts:' + EOL + [
+		'pod-knight --preset <preset>',
+		argv.source,
+		'<output-base>',
+		...(argv.start ? ['-s', formatDuration(start)] : []),
+		...cuts,
+		...(argv.end ? ['-e', formatDuration(end)] : []),
+	].join(' '));
+}
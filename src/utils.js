@@ -1,30 +1,140 @@
+import {createHash} from 'node:crypto';
+import {createReadStream} from 'node:fs';
 import {join, sep} from 'node:path';
 
+import {getFormatExtension, isPlaylistFormat} from './formats.js';
+
 const HOUR = 60 * 60;
 const MINUTE = 60;
 
-export function getPartInfo({start, end, index, partOptions, outputBase}) {
+export function getPartInfo({start, end, index, partOptions, outputBase, chapters = [], subtitles = [], bumpers = {}}) {
 	const prefix = partOptions?.prefix ?? '';
 	const suffix = partOptions?.suffix ?? ('_' + (index + 1));
 
 	const filename = prefix + outputBase + suffix;
 
+	const intro = partOptions?.intro ? {file: partOptions.intro, ...bumpers[partOptions.intro]} : undefined;
+	const outro = partOptions?.outro ? {file: partOptions.outro, ...bumpers[partOptions.outro]} : undefined;
+	const introDuration = intro?.duration ?? 0;
+	// Intro pushes everything later
+	const toPartTimeline = ranges => getPartChapters(ranges, start, end).map(range => ({
+		...range,
+		start: range.start + introDuration,
+		end: range.end + introDuration,
+	}));
+
 	return {
 		start,
 		end,
 		index,
 		filename,
+		intro,
+		outro,
+		// Including bumpers
+		duration: introDuration + (end - start) + (outro?.duration ?? 0),
+		chapters: toPartTimeline(chapters),
+		subtitles: toPartTimeline(subtitles),
 	};
 }
 
+/**
+ * Map chapters from source timeline into part timeline
+ *
+ * Chapters crossing part boundaries are clipped, chapters outside of the part are dropped.
+ * Works the same for subtitle cues.
+ *
+ * @param {Array<{start: number, end: number, title: string}>} chapters Chapters in source timeline
+ * @param {number} start Part start in source
+ * @param {number} end Part end in source
+ * @returns {Array<{start: number, end: number, title: string}>} Chapters relative to part start
+ */
+export function getPartChapters(chapters, start, end) {
+	return chapters
+		.map(chapter => ({
+			...chapter,
+			start: Math.max(chapter.start, start) - start,
+			end: Math.min(chapter.end, end) - start,
+		}))
+		.filter(chapter => chapter.end > chapter.start);
+}
+
 export function getFileName(baseFilename, format) {
 	const prefix = format?.prefix ?? '';
 	const suffix = format?.suffix ?? '';
-	const extension = format?.type === 'audio' ? 'mp3' : 'mp4';
+	const extension = getFormatExtension(format);
+
+	// Playlist formats are a folder of segments
+	if (isPlaylistFormat(format)) {
+		return `${prefix}${baseFilename}${suffix}/master.${extension}`;
+	}
 
 	return `${prefix}${baseFilename}${suffix}.${extension}`;
 }
 
+/**
+ * Replace {name} placeholders in template, unknown placeholders are left as is
+ *
+ * @param {string} template Template string
+ * @param {object} values Placeholder values
+ * @returns {string} Formatted string
+ */
+export function formatTemplate(template, values) {
+	return String(template).replace(/{(\w+)}/g, (match, name) => (name in values ? String(values[name]) : match));
+}
+
+/**
+ * Placeholder values for templates of part's files
+ *
+ * @param {object} options
+ * @param {object} options.part Part info
+ * @param {string} options.outputBase Output base name
+ * @param {Date} options.date Run date
+ * @returns {object} Template values
+ */
+export function getTemplateValues({part, outputBase, date}) {
+	return {
+		outputBase,
+		partFilename: part.filename,
+		partName: part.name ?? '',
+		partIndex: part.index + 1,
+		date: date.toISOString().slice(0, 10),
+		year: date.getFullYear(),
+	};
+}
+
+/**
+ * Resolve metadata tags and cover art for output file
+ *
+ * Format's metadata overrides preset-wide metadata
+ *
+ * @param {object} options
+ * @param {object} options.metadata Preset metadata
+ * @param {object} options.format Output format
+ * @param {object} options.part Part info
+ * @param {string} options.outputBase Output base name
+ * @param {Date} options.date Run date
+ * @returns {{tags: object, cover: string|undefined}} Tags and cover image path
+ */
+export function getOutputMetadata({metadata, format, part, outputBase, date}) {
+	const {cover, ...templates} = {
+		...metadata,
+		...format?.metadata,
+	};
+	const values = getTemplateValues({part, outputBase, date});
+
+	const tags = {};
+	for (const [key, template] of Object.entries(templates)) {
+		if (template !== null && template !== undefined && template !== '') {
+			tags[key] = formatTemplate(template, values);
+		}
+	}
+
+	return {
+		tags,
+		cover: cover || undefined,
+	};
+}
+
 /**
  * Parse duration string into seconds
  * (hh:)(mm:)ss(.ms)
@@ -62,6 +172,55 @@ export function formatDuration(duration) {
 		+ '.' + ms.toFixed(3).slice(ms.toFixed(3).indexOf('.') + 1).padEnd(3, '0');
 }
 
+/**
+ * Format byte count for humans
+ *
+ * @param {number} bytes Size in bytes
+ * @returns {string} Size (1.5 GB)
+ */
+export function formatSize(bytes) {
+	const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+	const exponent = Math.min(Math.floor(Math.log(Math.max(bytes, 1)) / Math.log(1024)), units.length - 1);
+
+	return `${Number((bytes / (1024 ** exponent)).toFixed(exponent === 0 ? 0 : 1))} ${units[exponent]}`;
+}
+
+const EXPIRY_UNITS = {
+	s: ['second', 1],
+	m: ['minute', MINUTE],
+	h: ['hour', HOUR],
+	d: ['day', 24 * HOUR],
+};
+
+/**
+ * Parse link expiry into seconds
+ * 30, 45m, 12h, 7d
+ *
+ * @param {string|number} expiry Expiry
+ * @returns {number} Seconds
+ */
+export function parseExpiry(expiry) {
+	const match = /^(\d+(?:\.\d+)?)([dhms])?$/.exec(String(expiry).trim());
+	if (!match) {
+		throw new Error(`Invalid expiry ${expiry}, use seconds or number with s, m, h or d`);
+	}
+
+	return Math.round(Number.parseFloat(match[1]) * EXPIRY_UNITS[match[2] ?? 's'][1]);
+}
+
+/**
+ * Format expiry in largest whole unit
+ *
+ * @param {number} seconds Expiry in seconds
+ * @returns {string} Human readable expiry (7 days)
+ */
+export function formatExpiry(seconds) {
+	const [name, size] = Object.values(EXPIRY_UNITS).reverse().find(([, size]) => seconds % size === 0) ?? EXPIRY_UNITS.s;
+	const count = seconds / size;
+
+	return `${count} ${name}${count === 1 ? '' : 's'}`;
+}
+
 /**
  *
  * @param {...string} parts
@@ -77,3 +236,34 @@ export function delay(time) {
 		setTimeout(resolve, time);
 	});
 }
+
+/**
+ * Calculate sha256 hash of string
+ *
+ * @param {string} data Data to hash
+ * @returns {string} Hex digest
+ */
+export function sha256(data) {
+	return createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Calculate hash of file contents
+ *
+ * @param {string} file File location
+ * @param {string} algorithm Hash algorithm
+ * @param {Array<{update: function(Buffer): void}>} [extraHashes] Fed the same chunks, so big files are read only once
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashFile(file, algorithm = 'sha256', extraHashes = []) {
+	const hash = createHash(algorithm);
+
+	for await (const chunk of createReadStream(file)) {
+		hash.update(chunk);
+		for (const extraHash of extraHashes) {
+			extraHash.update(chunk);
+		}
+	}
+
+	return hash.digest('hex');
+}
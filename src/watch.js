@@ -0,0 +1,220 @@
+import {mkdir, readdir, readFile, rename, stat} from 'node:fs/promises';
+import {basename, dirname, extname, join, resolve} from 'node:path';
+
+import JSON5 from 'json5';
+
+import EpisodeProcessor from './episode-processor.js';
+import {ChecklistError} from './errors.js';
+import JobQueue from './job-queue.js';
+import {writeLogEvent} from './log-renderer.js';
+import {createNotifiers} from './notifiers/index.js';
+import {delay} from './utils.js';
+
+const SIDECAR_EXTENSION = '.json5';
+// Cuts, chapters and subtitles files next to recordings aren't recordings
+const RECORDING_EXTENSIONS = new Set(['.mkv', '.mp4', '.mov', '.m4v', '.flv', '.ts', '.webm', '.avi', '.mp3', '.m4a', '.aac', '.wav', '.flac', '.ogg', '.opus']);
+
+function getSidecarName(name) {
+	return basename(name, extname(name)) + SIDECAR_EXTENSION;
+}
+
+/**
+ * Recordings in folder with their sidecar if it exists
+ *
+ * @returns {Promise<Array<{name: string, sidecar?: string}>>} Recordings
+ */
+async function findRecordings(folder) {
+	const entries = await readdir(folder, {withFileTypes: true});
+	const files = new Set(entries.filter(entry => entry.isFile()).map(({name}) => name));
+
+	return [...files]
+		.filter(name => !name.startsWith('.') && RECORDING_EXTENSIONS.has(extname(name).toLowerCase()))
+		.map(name => ({
+			name,
+			sidecar: files.has(getSidecarName(name)) ? getSidecarName(name) : undefined,
+		}));
+}
+
+async function moveFiles(folder, names, subfolder) {
+	await mkdir(join(folder, subfolder), {recursive: true});
+	await Promise.all(names.map(async name => {
+		try {
+			await rename(join(folder, name), join(folder, subfolder, name));
+		} catch (error) {
+			// Referenced file that was never there
+			if (error.code !== 'ENOENT') {
+				throw error;
+			}
+		}
+	}));
+}
+
+/**
+ * Cuts, chapters and subtitles files in watched folder, moved along with the recording
+ */
+function getReferencedFiles(folder, {cutsFile, chaptersFile, subtitles}) {
+	return [cutsFile, chaptersFile, subtitles]
+		.filter(file => file && dirname(file) === folder)
+		.map(file => basename(file));
+}
+
+/**
+ * Arguments for EpisodeProcessor from preset file and episode options, confirmation is skipped
+ *
+ * @param {string} presetFile Preset location
+ * @param {object} options Source, output base and other options of the main command
+ * @returns {Promise<object>} Arguments
+ */
+export async function getEpisodeArgv(presetFile, options) {
+	const preset = JSON5.parse(await readFile(presetFile, 'utf-8'));
+
+	return {
+		...preset,
+		...options,
+		force: true,
+	};
+}
+
+/**
+ * Sidecar is {preset?, outputBase, start?, end?, cuts?, cutsFile?, chaptersFile?, subtitles?}
+ * Same as arguments of the main command, paths are relative to the sidecar
+ */
+async function getSidecarArgv(argv, source, sidecarFile) {
+	const {preset, outputBase, start, end, cuts, cutsFile, chaptersFile, subtitles} = JSON5.parse(await readFile(sidecarFile, 'utf-8'));
+	const folder = dirname(sidecarFile);
+
+	if (!outputBase) {
+		throw new Error(`${basename(sidecarFile)} is missing outputBase`);
+	}
+
+	const presetFile = preset ? resolve(folder, preset) : argv.preset;
+	if (!presetFile) {
+		throw new Error(`${basename(sidecarFile)} has no preset and no default --preset is set`);
+	}
+
+	return getEpisodeArgv(presetFile, {
+		source,
+		outputBase: String(outputBase),
+		start: start === undefined ? undefined : String(start),
+		end: end === undefined ? undefined : String(end),
+		cuts: cuts?.map(cut => String(cut)),
+		cutsFile: cutsFile && resolve(folder, cutsFile),
+		chaptersFile: chaptersFile && resolve(folder, chaptersFile),
+		subtitles: subtitles && resolve(folder, subtitles),
+		logFormat: argv.logFormat,
+	});
+}
+
+/**
+ * Process recording with its sidecar, then move them and files referenced by the sidecar into done/ or failed/
+ *
+ * Recordings that can't be moved are added to unmovable, so they aren't processed again
+ */
+async function processRecording(argv, folder, {name, sidecar}, unmovable) {
+	const files = [name, sidecar];
+	const move = async subfolder => {
+		try {
+			await moveFiles(folder, files, subfolder);
+		} catch (error) {
+			unmovable.add(name);
+			writeLogEvent(argv.logFormat, {type: 'watch', message: `Moving ${name} to ${subfolder}/ failed, skipping it until restart: ${error.message}`});
+		}
+	};
+
+	let processor;
+
+	try {
+		const episodeArgv = await getSidecarArgv(argv, join(folder, name), join(folder, sidecar));
+		files.push(...getReferencedFiles(folder, episodeArgv));
+		processor = new EpisodeProcessor(episodeArgv);
+		await processor.run();
+	} catch (error) {
+		await move('failed');
+
+		// Processor reports failures after the checklist itself
+		if (!processor || error instanceof ChecklistError) {
+			await (processor?.notifiers ?? createNotifiers(argv)).emit('error', {
+				outputBase: processor?.outputBase ?? name,
+				message: `Processing ${name} failed, ${unmovable.has(name) ? 'left in place' : 'moved to failed/'}: ${error.message}`,
+			});
+		}
+
+		throw error;
+	}
+
+	await move('done');
+}
+
+/**
+ * Watch folder for recordings, every recording with a sidecar is processed once it stops growing
+ */
+export async function watchFolder(argv) {
+	const folder = resolve(argv.folder);
+	const log = message => writeLogEvent(argv.logFormat, {type: 'watch', message});
+	const queue = new JobQueue();
+	// Size and modification time of recordings that haven't been queued yet
+	const pending = new Map();
+	const queued = new Set();
+	// Processed recordings still in the folder because moving them failed
+	const unmovable = new Set();
+
+	queue.on('started', job => log(`Processing ${job.name}`));
+	queue.on('finished', job => {
+		queued.delete(job.name);
+		const moved = unmovable.has(job.name) ? 'left in place' : `moved to ${job.status === 'done' ? 'done' : 'failed'}/`;
+		log(job.status === 'done' ? `Finished ${job.name}, ${moved}` : `Failed ${job.name}, ${moved}: ${job.error}`);
+	});
+
+	log(`Watching ${folder} for recordings`);
+
+	for (;;) {
+		// eslint-disable-next-line no-await-in-loop
+		for (const recording of await findRecordings(folder)) {
+			if (queued.has(recording.name) || unmovable.has(recording.name)) {
+				continue;
+			}
+
+			let details;
+			try {
+				// eslint-disable-next-line no-await-in-loop
+				details = await stat(join(folder, recording.name));
+			} catch (error) {
+				// Moved away since listing
+				if (error.code === 'ENOENT') {
+					continue;
+				}
+
+				throw error;
+			}
+
+			const previous = pending.get(recording.name);
+			if (previous?.size !== details.size || previous?.mtimeMs !== details.mtimeMs) {
+				pending.set(recording.name, {size: details.size, mtimeMs: details.mtimeMs, since: Date.now()});
+				continue;
+			}
+
+			if (Date.now() - previous.since < argv.settle * 1000) {
+				continue;
+			}
+
+			if (!recording.sidecar) {
+				if (!previous.waiting) {
+					log(`${recording.name} is waiting for ${getSidecarName(recording.name)}`);
+					previous.waiting = true;
+				}
+
+				continue;
+			}
+
+			pending.delete(recording.name);
+			queued.add(recording.name);
+			queue.add({
+				name: recording.name,
+				run: () => processRecording(argv, folder, recording, unmovable),
+			});
+		}
+
+		// eslint-disable-next-line no-await-in-loop
+		await delay(argv.interval * 1000);
+	}
+}